@@ -12,6 +12,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import os from 'os';
 import chokidar from 'chokidar';
 import clipboardy from 'clipboardy';
 import commandLineArgs from 'command-line-args';
@@ -21,9 +22,14 @@ import fetch from 'node-fetch';
 import { JSDOM } from 'jsdom';
 import { Readability } from '@mozilla/readability';
 import puppeteer from 'puppeteer';
+import psl from 'psl';
+import { DOMParser } from 'xmldom';
 import readline from 'readline';
 import crypto from 'crypto';
-import { globSync } from 'glob';
+import zlib from 'zlib';
+import { execFileSync } from 'child_process';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { globSync, hasMagic, escape as escapeGlob } from 'glob';
 import ignore from 'ignore';
 
 // Extended ignores
@@ -81,10 +87,16 @@ const defaultIgnores = [
 // -----------------------------------------------------------------------------
 const optionDefinitions = [
   { name: 'copy', alias: 'c', type: Boolean, description: 'Copy output to clipboard' },
-  { name: 'tiny', alias: 't', type: Boolean, description: 'Trim extra spaces' },
+  { name: 'tiny', alias: 't', type: Boolean, description: 'Compact content: strip comments, blank lines and extra spaces' },
+  { name: 'line-numbers', type: Boolean, description: 'Prefix every line with its line number in the source file' },
+  { name: 'outline', type: Boolean, description: 'Reduce code files to signatures, imports/exports and doc comments' },
+  { name: 'full', type: String, multiple: true, description: 'With --outline, keep full content for files matching these patterns' },
+  { name: 'tiny-level', type: String, description: 'safe|aggressive for --tiny (aggressive collapses all whitespace)' },
   // prefix no longer has alias -p to avoid collision with --predefined
   { name: 'prefix', /* alias: 'x', */ type: String, description: 'Prefix for the output (no short alias)' },
   { name: 'output', alias: 'o', type: String, description: 'Write output to a file' },
+  { name: 'stdout', type: Boolean, description: 'Write only the output to stdout; logs, reports and the tree go to stderr' },
+  { name: 'files-from', type: String, description: 'Read resource paths from a file, one per line ("-" for stdin)' },
   { name: 'help', alias: 'h', type: Boolean, description: 'Print usage help' },
   { name: 'silent', alias: 's', type: Boolean, description: 'Silent output' },
   { name: 'debug', alias: 'd', type: Boolean, description: 'Debug mode' },
@@ -98,12 +110,30 @@ const optionDefinitions = [
   { name: 'backup', alias: 'b', type: Boolean, description: 'Backup current args to thisismy.json' },
   { name: 'watch', alias: 'w', type: Boolean, description: 'Watch for changes' },
   { name: 'interval', alias: 'i', type: Number, description: 'Minutes to re-check URLs (default 5)' },
+  { name: 'auto', type: Boolean, description: 'In watch mode, rebuild on changes without asking' },
+  { name: 'offline', type: Boolean, description: 'Take URLs from the local cache only, without network access' },
+  { name: 'refresh', type: Boolean, description: 'Refetch URLs in full, ignoring the local cache' },
+  { name: 'raw-url', type: Boolean, description: 'Keep URL responses as sent, without extracting the article from HTML' },
+  { name: 'url-text', type: Boolean, description: 'Extract web pages as plain text instead of Markdown' },
+  { name: 'notebook-outputs', type: Boolean, description: 'Include text outputs of notebook cells (first 20 lines each)' },
+  { name: 'selector', type: String, description: 'CSS selector for the part of each web page to keep' },
+  { name: 'wait-for', type: String, description: 'Render web pages and wait for this CSS selector or number of milliseconds' },
+  { name: 'js', type: Boolean, description: 'Render web pages in the headless browser before extracting them' },
+  { name: 'concurrency', type: Number, description: 'How many files/URLs to load at once (default 8)' },
+  { name: 'crawl', type: Number, description: 'Follow same-site links from each URL this many levels deep' },
+  { name: 'crawl-include', type: String, multiple: true, description: 'Only crawl URLs matching these patterns (* wildcards)' },
+  { name: 'crawl-exclude', type: String, multiple: true, description: 'Never crawl URLs matching these patterns (* wildcards)' },
+  { name: 'max-pages', type: Number, description: 'Most pages a crawl, sitemap or feed may add (default 50)' },
   { name: 'greedy', alias: 'g', type: Boolean, description: 'Ignore ignore rules' },
   { name: 'recursive', alias: 'r', type: Boolean, description: 'Recurse subdirectories' },
   { name: 'tree', alias: 'y', type: Boolean, description: 'Append directory tree to output' },
+  { name: 'explain-ignore', type: String, description: 'Print which ignore rule excludes a path and exit' },
+  { name: 'no-redact', type: Boolean, description: 'Do not mask secrets (keys, tokens, .env values) in the output' },
   { name: 'interactive', type: Boolean, description: 'Interactively confirm included files' },
   { name: 'stats', type: Boolean, description: 'Show file stats (size, lines, mod time)' },
-  { name: 'format', type: String, description: 'md|txt|json|html (default md)' },
+  { name: 'format', type: String, description: 'md|prose|txt|json|html|xml (default md)' },
+  { name: 'split', type: String, description: 'Split output into parts of at most this size (200kb) or token count (30k)' },
+  { name: 'toc', type: Boolean, description: 'Start markdown output with a table of contents' },
   { name: 'treeOnly', type: Boolean, description: 'Output only directory tree, no file content' },
   {
     name: 'limit',
@@ -111,12 +141,35 @@ const optionDefinitions = [
     type: String,
     description: 'Skip files larger than this size (e.g. 2mb or no). Default 1mb'
   },
+  {
+    name: 'max-tokens',
+    type: String,
+    description: 'Token budget for the whole output (e.g. 8000 or 32k)'
+  },
+  {
+    name: 'budget',
+    type: String,
+    description: 'drop|truncate|fail when --max-tokens is exceeded (default drop)'
+  },
+  {
+    name: 'tokenizer',
+    type: String,
+    description: 'estimate|chars or path to a module exporting a token count function'
+  },
   {
     name: 'predefined',
     alias: 'p',
     type: String,
     description: 'Path to a .thisismy.txt (or any .txt) listing resources, one per line'
   },
+  { name: 'profile', type: String, description: 'Use a named profile from the config files' },
+  { name: 'no-config', type: Boolean, description: 'Ignore all thisismy.json config files' },
+  { name: 'diff', type: String, description: 'Render files as unified diffs against a git ref (default HEAD)' },
+  { name: 'diff-context', type: Number, description: 'Context lines around each diff hunk (default 3)' },
+  { name: 'diff-full', type: Boolean, description: 'Append the full post-change file after each diff' },
+  { name: 'changed', type: Boolean, description: 'Only files with uncommitted git changes (incl. untracked)' },
+  { name: 'staged', type: Boolean, description: 'Only files staged in git' },
+  { name: 'since', type: String, description: 'Only files changed in git since this ref (e.g. main, HEAD~3)' },
   {
     name: 'file',
     multiple: true,
@@ -139,27 +192,44 @@ const fetchOptions = {
 };
 
 async function main() {
-  let options = commandLineArgs(optionDefinitions);
+  let options = commandLineArgs(optionDefinitions, { camelCase: true });
+  if (options.file && options.file[0] === 'config') {
+    runConfigCommand(options);
+    return;
+  }
   handleBackup(options);
 
-  // Default if no args
-  if (
-    Object.keys(options).length === 0 ||
-    (Object.keys(options).length === 1 && options.file === undefined)
-  ) {
-    options = {
+  // Default if no args (config files and the chosen profile still apply on top)
+  const explicitMode = options.help || options.version || options.license || options.explainIgnore || options.predefined || options.filesFrom ||
+    usesGitSelection(options) || options.diff !== undefined;
+  const configArgs = ['profile', 'noConfig'].filter((k) => options[k] !== undefined);
+  const argCount = Object.keys(options).length - configArgs.length;
+  let builtins = {};
+  if (argCount === 0 || (argCount === 1 && options.file === undefined && !explicitMode)) {
+    builtins = {
       copy: true,      // -c
       recursive: true, // -r
       tree: true,     // -y
       file: ['*']
     };
+    options = Object.fromEntries(configArgs.map((k) => [k, options[k]]));
   }
 
-  const { finalOptions, loadedDefaults } = loadDefaults(options);
-  options = finalOptions;
+  let loaded;
+  try {
+    loaded = loadDefaults(options, { builtins });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  options = loaded.finalOptions;
+  // stdout carries the output alone; every message goes to stderr instead
+  messagesToStderr = Boolean(options.stdout);
+  reportConfigWarnings(loaded.warnings, options);
 
-  if (!options.silent && Object.keys(loadedDefaults).length > 0) {
-    displayDefaultsUsed(loadedDefaults, options);
+  if (!options.silent && Object.keys(loaded.loadedDefaults).length > 0) {
+    displayDefaultsUsed(loaded.loadedDefaults, loaded.sources, options);
   }
 
   // license vs limit
@@ -176,29 +246,69 @@ async function main() {
     printUsage();
     return;
   }
+  if (options.explainIgnore) {
+    explainIgnore(options.explainIgnore, options);
+    return;
+  }
 
   // If user gave --predefined, we skip normal "file" input patterns
   let usingPredefined = false;
-  let linesFromPredefined = [];
+  let predefinedList = null;
   if (options.predefined) {
     usingPredefined = true;
     try {
-      const fileData = fs.readFileSync(options.predefined, 'utf8');
-      linesFromPredefined = fileData
-        .split('\n')
-        .map((x) => x.trim())
-        .filter((x) => x.length > 0 && !x.startsWith('#'));
-      if (!linesFromPredefined.length) {
+      predefinedList = await loadPredefinedList(options.predefined, options);
+      if (!predefinedList.resources.length) {
         throw new Error('No valid lines found in predefined file');
       }
     } catch (err) {
       console.error(`Error loading predefined resources from "${options.predefined}":\n${err}`);
+      process.exitCode = 1;
+      return;
+    }
+    reportConfigWarnings(predefinedList.warnings, options);
+    logIgnoredFiles(predefinedList.ignoredFiles, options);
+    options.entryOptions = predefinedList.entryOptions;
+  }
+
+  // --diff takes an optional ref, so a file right after it may have been taken as the ref
+  if (typeof options.diff === 'string' && !isGitRef(options.diff) && fs.existsSync(options.diff)) {
+    options.file = [options.diff, ...(options.file || [])];
+    options.diff = null;
+  }
+  // --diff on its own means "diff whatever changed"
+  if (options.diff !== undefined && !options.file && !usingPredefined && !usesGitSelection(options)) {
+    const ref = getDiffRef(options);
+    if (ref === 'HEAD') {
+      options.changed = true;
+    } else {
+      options.since = ref;
+    }
+  }
+
+  const readsStdin = options.filesFrom === stdinResource || (options.file || []).includes(stdinResource);
+  if (readsStdin && (options.watch || options.interactive)) {
+    console.error(`Error: ${options.watch ? '--watch' : '--interactive'} reads commands from stdin, so it cannot take "-" or --files-from -`);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.stdout && options.interactive) {
+    console.error('Error: --stdout and --interactive cannot be combined');
+    process.exitCode = 1;
+    return;
+  }
+  if (options.filesFrom && !usingPredefined) {
+    try {
+      options.file = [...(options.file || []), ...filesFromPatterns(options)];
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
       return;
     }
   }
 
-  // If user had no file patterns but no --predefined => error
-  if (!usingPredefined) {
+  // If user had no file patterns but no --predefined => error (git selection needs no patterns)
+  if (!usingPredefined && !usesGitSelection(options)) {
     if (options.recursive && (!options.file || options.file.length === 0)) {
       options.file = ['*'];
     } else if (!options.file || options.file.length === 0) {
@@ -213,52 +323,61 @@ async function main() {
     options.interval = 5;
   }
 
-  // Parse limit
-  const sizeLimitInfo = parseSizeLimit(options.limit);
-  const sizeLimitBytes = sizeLimitInfo.bytes;
+  // Parse limit and token budget
+  let sizeLimitBytes;
+  try {
+    sizeLimitBytes = parseSizeLimit(options.limit).bytes;
+    parseTokenCount(options.maxTokens);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
   if (options.debug && !options.silent) {
-    console.log('Options:', options);
-    console.log('Size limit in bytes:', sizeLimitBytes);
+    log('Options:', options);
+    log('Size limit in bytes:', sizeLimitBytes);
   }
 
   // Possibly list subdirectories if recursive
   if (options.recursive && !options.silent && !usingPredefined) {
     // This listing only makes sense if we're actually scanning patterns
-    console.log('Listing all subdirectories from the current folder:');
-    const allSubDirs = globSync('**/', { dot: true }).filter((dir) => dir !== '.');
-    const dirIg = ignore();
-    if (fs.existsSync('.thisismyignore')) {
-      dirIg.add(fs.readFileSync('.thisismyignore', 'utf8'));
-    } else if (fs.existsSync('.gitignore')) {
-      dirIg.add(fs.readFileSync('.gitignore', 'utf8'));
-    }
-    if (!options.greedy) {
-      dirIg.add(defaultIgnores);
-    }
+    log('Listing all subdirectories from the current folder:');
+    const dirIg = createIgnoreMatcher(options);
+    // prune ignored directories while walking instead of listing them first
+    const allSubDirs = globSync('**/', {
+      dot: true,
+      ignore: { childrenIgnored: (p) => dirIg.ignores(p.relative(), true) }
+    }).filter((dir) => dir !== '.');
     const filteredDirs = allSubDirs.filter((dir) => {
-      if (options.greedy) return true;
       const relativeDir = path.relative(process.cwd(), dir);
       if (!relativeDir) return true;
-      return !dirIg.ignores(relativeDir);
+      return !dirIg.ignores(relativeDir, true);
     });
-    filteredDirs.forEach((d) => console.log(`  ${d}`));
-    console.log('--- End of subdirectory listing ---');
+    filteredDirs.forEach((d) => log(`  ${d}`));
+    log('--- End of subdirectory listing ---');
   }
 
-  // prefix file content
-  const prefixContent = loadPrefixContent(options.prefix);
-
   // if usingPredefined, we skip normal resource resolution
   let finalResources = [];
   let directoriesScanned = [];
   if (usingPredefined) {
-    finalResources = linesFromPredefined.map((ln) => ln.trim());
-    directoriesScanned = [...new Set(finalResources.map((f) => path.dirname(f)))];
+    finalResources = predefinedList.resources;
+    directoriesScanned = predefinedList.directoriesScanned;
   } else {
     // normal resolution
-    const resolved = await resolveResources(options);
+    let resolved;
+    try {
+      resolved = await resolveResources(options);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
     finalResources = resolved.finalResources;
     directoriesScanned = resolved.directoriesScanned;
+    if (resolved.gitChanges) {
+      options.gitChanges = resolved.gitChanges;
+    }
   }
 
   // Interactive mode addition: if there's a .thisismy.txt present, ask user if they want to load it
@@ -270,16 +389,15 @@ async function main() {
       const want = await askYesNo(`Found a local "${localTxt}". Load its lines into your selection? (y/n)`);
       if (want) {
         try {
-          const lines = fs.readFileSync(localTxt, 'utf8')
-            .split('\n')
-            .map((x) => x.trim())
-            .filter((x) => x.length > 0 && !x.startsWith('#'));
-          extraPredefLines = lines;
+          const list = await loadPredefinedList(localTxt, options);
+          extraPredefLines = list.resources;
+          options.entryOptions = new Map([...(options.entryOptions || []), ...list.entryOptions]);
+          reportConfigWarnings(list.warnings, options);
           if (!options.silent) {
-            console.log(`Loaded ${lines.length} lines from .thisismy.txt`);
+            log(`Loaded ${list.resources.length} entries from .thisismy.txt`);
           }
-        } catch {
-          console.log(`Error reading ${localTxt}`);
+        } catch (err) {
+          log(`Error reading ${localTxt}: ${err.message}`);
         }
       }
     }
@@ -298,10 +416,10 @@ async function main() {
       if (wantSave) {
         const name = `selection-${Date.now()}.thisismy.txt`;
         try {
-          fs.writeFileSync(name, finalResources.join('\n'), 'utf8');
-          console.log(`Saved selection to "${name}"`);
+          fs.writeFileSync(name, formatPredefinedList(finalResources, options.entryOptions), 'utf8');
+          log(`Saved selection to "${name}"`);
         } catch (err) {
-          console.log(`Error saving selection: ${err}`);
+          log(`Error saving selection: ${err}`);
         }
       }
     }
@@ -310,7 +428,7 @@ async function main() {
     const action = await askPostAction();
     if (action === 'quit') {
       if (!options.silent) {
-        console.log('Exiting without further processing...');
+        log('Exiting without further processing...');
       }
       return;
     } else if (action === 'copy' || action === 'file') {
@@ -332,10 +450,10 @@ async function main() {
   // treeOnly => skip reading
   if (options.treeOnly) {
     if (!options.silent) {
-      console.log('Tree-only mode: No file content read.');
+      log('Tree-only mode: No file content read.');
     }
     if (finalResources.length === 0 && !options.silent) {
-      console.log('No files/URLs found.');
+      log('No files/URLs found.');
     } else {
       const treeResult = buildTreeOutput(finalResources, options);
       if (options.output) {
@@ -344,8 +462,10 @@ async function main() {
           logColored(`Output written to ${options.output}`, chalk.yellow, options);
         }
       }
-      if (!options.silent) {
-        console.log(treeResult.coloredTree);
+      if (options.stdout) {
+        process.stdout.write(treeResult.rawTree);
+      } else if (!options.silent) {
+        log(treeResult.coloredTree);
       }
       if (options.copy) {
         clipboardy.writeSync(treeResult.rawTree);
@@ -357,78 +477,54 @@ async function main() {
     return;
   }
 
-  // apply size limit
-  const { finalResourcesFiltered, ignoredDueToSize } = applySizeLimit(finalResources, sizeLimitBytes);
-  finalResources = finalResourcesFiltered;
+  // read, format, write and copy
+  let result;
+  try {
+    result = await pack({ ...options, silent: Boolean(options.silent), resources: finalResources });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
 
-  if (finalResources.length === 0) {
+  if (result.resources.length === 0) {
     if (!options.silent) {
-      console.log('No files/URLs remain after ignoring or size limit.');
-      if (ignoredDueToSize.length > 0) {
-        console.log('Ignored due to size limit:');
-        ignoredDueToSize.forEach((info) => {
-          console.log(` - ${info.filePath} (${info.sizeMB.toFixed(2)} MB)`);
+      log('No files/URLs remain after ignoring, size limit or binary detection.');
+      if (result.ignoredDueToSize.length > 0) {
+        log('Ignored due to size limit:');
+        result.ignoredDueToSize.forEach((info) => {
+          log(` - ${info.filePath} (${info.atLeast ? 'over ' : ''}${info.sizeMB.toFixed(2)} MB)`);
+        });
+      }
+      if (result.ignoredAsBinary.length > 0) {
+        log('Ignored as binary:');
+        result.ignoredAsBinary.forEach((info) => {
+          log(` - ${info.filePath} (${info.reason})`);
         });
       }
     }
     return;
   }
+  finalResources = result.resources;
 
   // If normal scanning used
   if (options.recursive && !usingPredefined && !options.silent) {
-    console.log('Recursive search enabled. Directories scanned:');
-    directoriesScanned.forEach((dir) => console.log(`  ${dir}`));
-    console.log(`Found ${finalResources.length} file(s)/URL(s) total (after size filtering).`);
-  }
-
-  // process resources
-  let finalOutput = await processFilesAndUrls(options, prefixContent, finalResources);
-
-  // append tree if -y
-  if (options.tree) {
-    const treeResult = buildTreeOutput(finalResources, options);
-    finalOutput += treeResult.rawTree;
-    if (!options.silent) {
-      console.log(treeResult.coloredTree);
-    }
-  }
-
-  // show ignored size
-  if (ignoredDueToSize.length > 0 && !options.silent) {
-    console.log(`\nSkipped ${ignoredDueToSize.length} file(s) due to size limit:`);
-    ignoredDueToSize.forEach((info) => {
-      console.log(` - ${info.filePath} (${info.sizeMB.toFixed(2)} MB)`);
-    });
-    console.log('');
-  }
-
-  // write output if requested
-  if (options.output) {
-    fs.writeFileSync(options.output, finalOutput);
-    if (!options.silent) {
-      logColored(`Output written to ${options.output}`, chalk.yellow, options);
-    }
-  }
-
-  // copy if requested
-  if (options.copy) {
-    clipboardy.writeSync(finalOutput);
-    if (!options.silent) {
-      logColored('Output copied to clipboard', chalk.yellow, options);
-    }
+    log('Recursive search enabled. Directories scanned:');
+    directoriesScanned.forEach((dir) => log(`  ${dir}`));
+    log(`Found ${finalResources.length} file(s)/URL(s) total (after size filtering).`);
   }
 
   // watch
   if (options.watch) {
-    await startWatching(options, prefixContent, finalResources);
+    await startWatching(options, finalResources);
     if (!options.silent) {
-      console.log('Watch mode enabled. Press "x" then ENTER to exit watch mode.');
+      log('Watch mode enabled. Press "x" then ENTER to exit watch mode.');
     }
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
     rl.on('line', (line) => {
       if (line.trim().toLowerCase() === 'x') {
         if (!options.silent) {
-          console.log('Exiting watch mode...');
+          log('Exiting watch mode...');
         }
         process.exit(0);
       }
@@ -452,8 +548,8 @@ async function askInput(promptStr) {
 
 /** Prompt user for end-of-interactive action */
 async function askPostAction() {
-  console.log('\nWhat do you want to do with the selected files?');
-  console.log(' [1] Copy to clipboard\n [2] Write to file\n [3] None\n [x] Quit');
+  log('\nWhat do you want to do with the selected files?');
+  log(' [1] Copy to clipboard\n [2] Write to file\n [3] None\n [x] Quit');
   process.stdout.write('Choose 1/2/3/x: ');
   const ans = await promptUser();
   switch (ans.trim()) {
@@ -471,40 +567,228 @@ function handleBackup(options) {
   if (options.backup) {
     const backupOptions = { ...options };
     delete backupOptions.backup;
-    fs.writeFileSync('thisismy.json', JSON.stringify(backupOptions, null, 2));
+    delete backupOptions.profile;
+    // keep profiles defined in the file; --profile saves into that profile
+    const existing = readConfigFile('thisismy.json').data || {};
+    let saved;
+    if (options.profile) {
+      saved = { ...existing, profiles: { ...existing.profiles, [options.profile]: backupOptions } };
+    } else {
+      saved = existing.profiles ? { ...backupOptions, profiles: existing.profiles } : backupOptions;
+    }
+    fs.writeFileSync('thisismy.json', JSON.stringify(saved, null, 2));
   }
 }
 
-/** Load defaults from thisismy.json */
-function loadDefaults(options) {
-  let loadedDefaults = {};
-  if (fs.existsSync('thisismy.json')) {
-    try {
-      loadedDefaults = JSON.parse(fs.readFileSync('thisismy.json', 'utf8')) || {};
-    } catch {
-      loadedDefaults = {};
+// -----------------------------------------------------------------------------
+// Layered config and profiles
+// -----------------------------------------------------------------------------
+
+const configFileName = 'thisismy.json';
+
+// Options that only make sense on the command line
+const cliOnlyOptions = ['help', 'version', 'license', 'backup', 'profile', 'noConfig', 'explainIgnore'];
+
+const toCamelCase = (name) => name.replace(/-(\w)/g, (_, c) => c.toUpperCase());
+
+/** config files from lowest to highest precedence: user, project root, current directory */
+function configLocations() {
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  const cwd = process.cwd();
+  const root = findRepoRoot(cwd);
+  const locations = [{ file: path.join(configHome, 'thisismy', configFileName), scope: 'user' }];
+  if (root && path.resolve(root) !== path.resolve(cwd)) {
+    locations.push({ file: path.join(root, configFileName), scope: 'project' });
+  }
+  locations.push({ file: path.join(cwd, configFileName), scope: 'directory' });
+  return locations;
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return { data: null };
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { data: null, error: 'expected a JSON object' };
+    }
+    return { data };
+  } catch (err) {
+    return { data: null, error: err.message };
+  }
+}
+
+/** edit distance, for "did you mean" hints */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = tmp;
+    }
+  }
+  return row[b.length];
+}
+
+/** keep the known, well-typed keys of one option set; describe the rest */
+function validateConfigOptions(data, where) {
+  const defs = new Map(optionDefinitions.map((d) => [toCamelCase(d.name), d]));
+  const valid = {};
+  const warnings = [];
+  for (const [rawKey, value] of Object.entries(data)) {
+    const key = toCamelCase(rawKey);
+    const def = defs.get(key);
+    if (!def || cliOnlyOptions.includes(key)) {
+      const guess = [...defs.keys()]
+        .filter((k) => !cliOnlyOptions.includes(k))
+        .map((k) => [k, editDistance(key.toLowerCase(), k.toLowerCase())])
+        .sort((a, b) => a[1] - b[1])[0];
+      const hint = guess && guess[1] <= 2 ? ` (did you mean "${guess[0]}"?)` : '';
+      warnings.push(def ? `"${rawKey}" in ${where} only works on the command line` : `Unknown option "${rawKey}" in ${where}${hint}`);
+      continue;
+    }
+    const type = def.type === Boolean ? 'boolean' : def.type === Number ? 'number' : 'string';
+    const ok = def.multiple
+      ? (Array.isArray(value) ? value : [value]).every((v) => typeof v === type)
+      : typeof value === type || (key === 'limit' && typeof value === 'number');
+    if (!ok) {
+      warnings.push(`Option "${rawKey}" in ${where} should be ${def.multiple ? `a ${type} or a list of them` : `a ${type}`}, got ${JSON.stringify(value)}`);
+      continue;
+    }
+    valid[key] = def.multiple && !Array.isArray(value) ? [value] : value;
+  }
+  return { valid, warnings };
+}
+
+/** "~/..." for paths under the home directory */
+function displayPath(file) {
+  const home = os.homedir();
+  return file.startsWith(home + path.sep) ? `~${file.slice(home.length)}` : file;
+}
+
+/**
+ * Merge config files under the CLI options. Base settings layer user <
+ * project < directory; a selected profile layers the same way on top of all
+ * of them; the command line wins. Returns where each effective value came from.
+ */
+function loadDefaults(options, { builtins = {} } = {}) {
+  const loadedDefaults = {};
+  const sources = {};
+  const warnings = [];
+  const layers = [];
+  if (!options.noConfig) {
+    for (const loc of configLocations()) {
+      const { data, error } = readConfigFile(loc.file);
+      if (error) warnings.push(`Could not read ${displayPath(loc.file)}: ${error}`);
+      if (data) layers.push({ ...loc, label: displayPath(loc.file), data });
+    }
+  }
+  const apply = (data, label) => {
+    const { valid, warnings: found } = validateConfigOptions(data, label);
+    warnings.push(...found);
+    for (const [key, value] of Object.entries(valid)) {
+      loadedDefaults[key] = value;
+      sources[key] = label;
+    }
+  };
+  for (const [key, value] of Object.entries(builtins)) {
+    loadedDefaults[key] = value;
+    sources[key] = 'built-in defaults (no arguments)';
+  }
+  for (const layer of layers) {
+    const { profiles, ...base } = layer.data;
+    if (profiles !== undefined && (typeof profiles !== 'object' || Array.isArray(profiles))) {
+      warnings.push(`"profiles" in ${layer.label} should be an object of named option sets`);
+    }
+    apply(base, layer.label);
+  }
+  if (options.profile) {
+    const withProfile = layers.filter((l) => l.data.profiles?.[options.profile]);
+    if (withProfile.length === 0) {
+      const known = [...new Set(layers.flatMap((l) => Object.keys(l.data.profiles || {})))];
+      throw new Error(`Unknown profile "${options.profile}"${known.length ? ` (available: ${known.join(', ')})` : ' (no profiles defined)'}`);
+    }
+    for (const layer of withProfile) {
+      apply(layer.data.profiles[options.profile], `${layer.label} (profile ${options.profile})`);
     }
   }
+  for (const key of Object.keys(options)) {
+    sources[key] = 'command line';
+  }
   const finalOptions = { ...loadedDefaults, ...options };
-  return { finalOptions, loadedDefaults };
+  return { finalOptions, loadedDefaults, sources, warnings, layers };
+}
+
+function reportConfigWarnings(warnings, options) {
+  if (options.silent) return;
+  warnings.forEach((w) => console.warn(colorize(`Warning: ${w}`, chalk.yellow, options)));
 }
 
 /** Display loaded defaults */
-function displayDefaultsUsed(loadedDefaults, options) {
-  const defaultsStr = JSON.stringify(loadedDefaults, null, 2);
-  const msg = `Using defaults from thisismy.json:\n${defaultsStr}`;
-  logColored(msg, chalk.cyanBright, options);
+function displayDefaultsUsed(loadedDefaults, sources, options) {
+  const lines = Object.entries(loadedDefaults)
+    .filter(([key]) => sources[key] !== 'command line' && !sources[key].startsWith('built-in'))
+    .map(([key, value]) => `  ${key}: ${JSON.stringify(value)} (${sources[key]})`);
+  if (lines.length > 0) {
+    logColored(`Using defaults from config:\n${lines.join('\n')}`, chalk.cyanBright, options);
+  }
+}
+
+/** thisismy config show [--profile name] */
+function runConfigCommand(options) {
+  const [, sub, ...rest] = options.file;
+  if (sub !== 'show' || rest.length > 0) {
+    console.error('Error: Unknown config command. Usage: thisismy config show [--profile name]');
+    process.exitCode = 1;
+    return;
+  }
+  const cliOptions = { ...options };
+  delete cliOptions.file;
+  let loaded;
+  try {
+    loaded = loadDefaults(cliOptions);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  log('Config files (lowest to highest precedence):');
+  if (options.noConfig) {
+    log('  (ignored because of --no-config)');
+  } else {
+    for (const loc of configLocations()) {
+      const layer = loaded.layers.find((l) => l.file === loc.file);
+      const profiles = Object.keys(layer?.data.profiles || {});
+      const state = !layer ? 'not found' : profiles.length ? `profiles: ${profiles.join(', ')}` : 'no profiles';
+      log(`  ${loc.scope.padEnd(9)} ${displayPath(loc.file)} (${state})`);
+    }
+  }
+  const effective = Object.entries(loaded.finalOptions).filter(([key]) => key !== 'profile' && key !== 'noConfig');
+  log(`\nEffective options${options.profile ? ` (profile ${options.profile})` : ''}:`);
+  if (effective.length === 0) {
+    log('  (none)');
+  }
+  const width = Math.max(0, ...effective.map(([key]) => key.length));
+  for (const [key, value] of effective.sort(([a], [b]) => a.localeCompare(b))) {
+    log(`  ${key.padEnd(width)}  ${JSON.stringify(value)}  <- ${loaded.sources[key]}`);
+  }
+  if (loaded.warnings.length > 0) {
+    log('\nProblems:');
+    loaded.warnings.forEach((w) => log(`  ${w}`));
+  }
 }
 
 /** Print license */
 function printLicense() {
-  console.log('MIT License');
+  log('MIT License');
 }
 
 /** Print version from package.json */
 function printVersion() {
   const pkg = JSON.parse(fs.readFileSync('./package.json', 'utf8'));
-  console.log(`thisismy ${pkg.version}`);
+  log(`thisismy ${pkg.version}`);
 }
 
 /** Print usage */
@@ -519,7 +803,7 @@ function printUsage() {
       optionList: optionDefinitions
     }
   ]);
-  console.log(usage);
+  log(usage);
 }
 
 /** load prefix content from file or string */
@@ -531,40 +815,207 @@ function loadPrefixContent(prefix) {
   return prefix;
 }
 
-/** resolve resources from user patterns, ignoring rules */
-async function resolveResources(options) {
-  const inputPaths = options.file;
-  const ig = ignore(); // Re-introduce the ignore instance
-  let globIgnorePatterns = []; // Basic patterns for globSync
-
-  // Load all ignore patterns into the 'ignore' instance if not greedy
-  if (!options.greedy) {
-    ig.add(defaultIgnores);
-    // Define a minimal set for globSync to prevent deep recursion issues
-    globIgnorePatterns = defaultIgnores.filter(p => p.includes('node_modules') || p.includes('**/.*') || p.startsWith('.*'));
-
-    const loadIgnores = (filePath) => {
-      if (fs.existsSync(filePath)) {
-        ig.add(fs.readFileSync(filePath, 'utf8'));
-      }
+// -----------------------------------------------------------------------------
+// Ignore rules
+// -----------------------------------------------------------------------------
+
+const ignoreFileNames = ['.gitignore', '.thisismyignore'];
+
+/** nearest directory at or above start that holds a .git entry */
+function findRepoRoot(start) {
+  let dir = start;
+  for (;;) {
+    if (fs.existsSync(path.join(dir, '.git'))) return dir;
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Git-style ignore matcher. Every directory's .gitignore and .thisismyignore
+ * apply relative to that directory, deeper files and .thisismyignore win over
+ * earlier rules, negations re-include, and nothing below an ignored directory
+ * can be re-included. Rules are read from the repository root (or the current
+ * directory outside git); the built-in defaults apply relative to the current
+ * directory. Paths passed in are relative to the current directory.
+ */
+function createIgnoreMatcher(options) {
+  if (options.greedy) {
+    return {
+      ignores: () => false,
+      explain: () => ({ ignored: false, rule: null })
     };
+  }
+  const cwd = process.cwd();
+  const baseDir = findRepoRoot(cwd) || cwd;
+  const cwdDir = toPosix(path.relative(baseDir, cwd));
+  const matchers = new Map();
+  const dirResults = new Map();
+
+  const matcherFor = (dir) => {
+    if (!matchers.has(dir)) {
+      const rules = [];
+      if (dir === cwdDir) {
+        // file types an extractor reads, and archives, are no longer binary
+        defaultIgnores
+          .filter((pattern) => !(pattern.startsWith('*.') && (findExtractor(pattern) || isArchive(pattern))))
+          .forEach((pattern) => rules.push({ pattern, mark: 'built-in default' }));
+        rules.push({ pattern: '!*.tar.gz', mark: 'built-in default' });
+      }
+      for (const name of ignoreFileNames) {
+        const file = path.join(baseDir, dir, name);
+        if (!fs.existsSync(file)) continue;
+        const source = path.relative(cwd, file) || name;
+        fs.readFileSync(file, 'utf8').split(/\r?\n/).forEach((line, idx) => {
+          if (!line.trim() || line.startsWith('#')) return;
+          rules.push({ pattern: line, mark: `${source}:${idx + 1}` });
+        });
+      }
+      matchers.set(dir, rules.length ? { ig: ignore().add(rules), rules } : null);
+    }
+    return matchers.get(dir);
+  };
+
+  // Rule-by-rule evaluation, skipping rules that only match through the parent
+  // directory. Needed when a deeper file re-included a directory that this
+  // level excludes, and to name the rule behind a negation.
+  const testRuleByRule = (m, sub, parentSub) => {
+    let result = { ignored: false, unignored: false };
+    for (const rule of m.rules) {
+      const negative = rule.pattern.startsWith('!');
+      rule.single = rule.single || ignore().add(negative ? rule.pattern.slice(1) : rule.pattern);
+      if (parentSub && rule.single.ignores(`${parentSub}/`)) continue;
+      if (rule.single.ignores(sub)) {
+        result = { ignored: !negative, unignored: negative, rule };
+      }
+    }
+    return result;
+  };
 
-    if (fs.existsSync('.thisismyignore')) {
-      loadIgnores('.thisismyignore');
-    } else if (fs.existsSync('.gitignore')) {
-      loadIgnores('.gitignore');
+  // last matching rule from the root down to the path's own directory,
+  // assuming its parent directories are not excluded
+  const testOwnRules = (basePath, isDir) => {
+    let result = { ignored: false, rule: null };
+    const parts = basePath.split('/');
+    for (let i = 0; i < parts.length; i++) {
+      const m = matcherFor(parts.slice(0, i).join('/'));
+      if (!m) continue;
+      const sub = parts.slice(i).join('/') + (isDir ? '/' : '');
+      const parentSub = parts.slice(i, -1).join('/');
+      let t = m.ig.test(sub);
+      if ((parentSub && m.ig.test(`${parentSub}/`).ignored) || (t.unignored && !t.rule)) {
+        t = testRuleByRule(m, sub, parentSub);
+      }
+      if (t.ignored || t.unignored) {
+        result = { ignored: t.ignored, rule: t.rule };
+      }
+    }
+    return result;
+  };
+
+  const testDir = (dirPath) => {
+    if (!dirResults.has(dirPath)) {
+      const parent = dirPath.includes('/') ? dirPath.slice(0, dirPath.lastIndexOf('/')) : '';
+      const parentResult = parent ? testDir(parent) : null;
+      dirResults.set(dirPath, parentResult?.ignored
+        ? parentResult
+        : { ...testOwnRules(dirPath, true), dir: dirPath });
+    }
+    return dirResults.get(dirPath);
+  };
+
+  const explain = (relPath, isDir = false) => {
+    const basePath = toPosix(path.relative(baseDir, path.resolve(cwd, relPath))).replace(/\/$/, '');
+    if (!basePath || basePath.startsWith('../')) {
+      return { ignored: false, rule: null };
     }
+    const parent = basePath.includes('/') ? basePath.slice(0, basePath.lastIndexOf('/')) : '';
+    if (parent) {
+      const parentResult = testDir(parent);
+      if (parentResult.ignored) {
+        return { ...parentResult, dir: path.relative(cwd, path.join(baseDir, parentResult.dir)) };
+      }
+    }
+    return testOwnRules(basePath, isDir);
+  };
+
+  return {
+    ignores: (relPath, isDir = false) => explain(relPath, isDir).ignored,
+    explain
+  };
+}
+
+function toPosix(p) {
+  return p.split(path.sep).join('/');
+}
+
+/** print which rule (if any) excludes a path, for --explain-ignore */
+function explainIgnore(target, options) {
+  const isDir = fs.existsSync(target) && fs.statSync(target).isDirectory();
+  const result = createIgnoreMatcher(options).explain(target, isDir);
+  if (options.greedy) {
+    log(`${target} is not ignored (--greedy disables all ignore rules)`);
+  } else if (result.ignored) {
+    const via = result.dir ? ` (its directory ${result.dir}/ is excluded)` : '';
+    log(`${target} is ignored by ${result.rule.mark}: ${result.rule.pattern}${via}`);
+  } else if (result.rule) {
+    log(`${target} is not ignored, re-included by ${result.rule.mark}: ${result.rule.pattern}`);
+  } else {
+    log(`${target} is not ignored (no rule matches)`);
+  }
+  return result;
+}
+
+/** resolve resources from user patterns, ignoring rules */
+async function resolveResources(options) {
+  const ig = createIgnoreMatcher(options);
+  if (usesGitSelection(options)) {
+    return resolveGitResources(options, ig);
   }
 
+  const inputPaths = options.file;
+  // Define a minimal set for globSync to prevent deep recursion issues
+  const globIgnorePatterns = options.greedy
+    ? []
+    : defaultIgnores.filter(p => p.includes('node_modules') || p.includes('**/.*') || p.startsWith('.*'));
+
   const allMatchedFiles = [];
   const finalResourcesInput = []; // To collect URLs separately
   const allIgnoredFiles = []; // To log ignored files
 
+  const selectorsByFile = new Map(); // matched path -> selectors such as ":10-20" or "#main"
+
+  const membersOf = (archive, inner) => {
+    try {
+      return listArchiveMembers(archive, inner);
+    } catch (err) {
+      if (!options.silent) {
+        console.warn(chalk.yellow(`Could not read archive ${archive}: ${err.message}`));
+      }
+      return [];
+    }
+  };
+
   for (let pattern of inputPaths) {
-    if (pattern.startsWith('http')) {
+    if (pattern.startsWith('http') || pattern === stdinResource) {
       finalResourcesInput.push(pattern);
       continue;
     }
+    const spec = parseResourceSpec(pattern);
+    pattern = spec.path;
+
+    // "bug.zip!/src/*.js": the matching members of each matching archive
+    const inArchive = archiveMember(pattern);
+    if (inArchive) {
+      for (const archive of globSync(inArchive.archive, { dot: true })) {
+        for (const m of membersOf(archive, inArchive.member)) {
+          allMatchedFiles.push(m);
+          selectorsByFile.set(m, [...(selectorsByFile.get(m) || []), spec.selector || '']);
+        }
+      }
+      continue;
+    }
 
     if (options.recursive && !pattern.includes('**')) {
       if (pattern.startsWith('./')) {
@@ -584,6 +1035,9 @@ async function resolveResources(options) {
     try {
       const matched = globSync(pattern, globOptions);
       allMatchedFiles.push(...matched);
+      for (const m of matched) {
+        selectorsByFile.set(m, [...(selectorsByFile.get(m) || []), spec.selector || '']);
+      }
     } catch (err) {
        if (!options.silent) {
            console.warn(chalk.yellow(`Warning during globbing pattern "${pattern}": ${err.message}`));
@@ -607,11 +1061,31 @@ async function resolveResources(options) {
       continue; // Skip ignored files before calling lstatSync
     }
 
+    if (archiveMember(relativePath)) {
+      for (const selector of new Set(selectorsByFile.get(p))) {
+        finalResources.add(relativePath + selector);
+      }
+      directoriesScanned.add(path.dirname(relativePath));
+      continue;
+    }
+
     // Only call lstatSync for non-ignored paths
     try {
       const stats = fs.lstatSync(p); // Use original path `p` for lstatSync
-      if (stats.isFile()) {
-        finalResources.add(relativePath);
+      if (stats.isFile() && isArchive(relativePath)) {
+        // an archive stands for its members, which face the same rules as files
+        for (const m of membersOf(relativePath)) {
+          if (!options.greedy && ig.ignores(m)) {
+            allIgnoredFiles.push(m);
+          } else {
+            finalResources.add(m);
+            directoriesScanned.add(path.dirname(m));
+          }
+        }
+      } else if (stats.isFile()) {
+        for (const selector of new Set(selectorsByFile.get(p))) {
+          finalResources.add(relativePath + selector);
+        }
         const dirname = path.dirname(relativePath);
         if (dirname && dirname !== '.') {
           directoriesScanned.add(dirname);
@@ -628,120 +1102,2944 @@ async function resolveResources(options) {
     }
   }
 
-  // Log ignored files if needed
-  if (!options.greedy && !options.silent && allIgnoredFiles.length > 0) {
+  logIgnoredFiles(allIgnoredFiles, options);
+
+  return { finalResources: [...finalResources], directoriesScanned: [...directoriesScanned], ignoredFiles: allIgnoredFiles };
+}
+
+function logIgnoredFiles(ignoredFiles, options) {
+  if (!options.greedy && !options.silent && ignoredFiles.length > 0) {
     logColored('Ignored files (based on rules):', chalk.magenta, options);
-    for (const ignored of allIgnoredFiles) {
-      console.log(`  ${colorize(ignored, chalk.magenta, options)}`);
+    for (const ignored of ignoredFiles) {
+      log(`  ${colorize(ignored, chalk.magenta, options)}`);
     }
   }
-
-  return { finalResources: [...finalResources], directoriesScanned: [...directoriesScanned] };
 }
 
-/** Interactive selection of matched resources */
-async function interactiveSelect(resources, options) {
-  if (!resources.length) return [];
-  if (!options.silent) {
-    console.log(`Interactive mode: ${resources.length} total. Enter to include, "s" skip, "q" quit.\n`);
+// -----------------------------------------------------------------------------
+// Resource selectors (src/app.js:120-180, src/app.js#handleChange)
+// -----------------------------------------------------------------------------
+
+/**
+ * split "file:120-180", "file:120", "file:120-" or "file#Symbol.method" into
+ * path and selector; a file that really has such a name wins
+ */
+function parseResourceSpec(spec) {
+  if (spec.startsWith('http') || resourceExists(spec)) return { path: spec, selector: '' };
+  const range = spec.match(/^(.+?):(\d+)(?:-(\d*))?$/);
+  if (range) {
+    const start = Number(range[2]);
+    const end = range[3] === undefined ? start : range[3] === '' ? Infinity : Number(range[3]);
+    return { path: range[1], selector: spec.slice(range[1].length), start, end };
   }
-  const selected = [];
-  let i = 0;
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const symbol = spec.match(/^(.+?)#([\w$.-]+)$/);
+  if (symbol) {
+    return { path: symbol[1], selector: `#${symbol[2]}`, symbol: symbol[2] };
+  }
+  return { path: spec, selector: '' };
+}
 
-  const promptLoop = (resolve) => {
-    if (i >= resources.length) {
-      rl.close();
-      resolve();
-      return;
+/** read the selected part of a file: { text, start, end } with 1-based inclusive lines */
+function readSlice(spec, options = {}) {
+  const text = readResourceText(spec.path, options);
+  const lines = text.split('\n');
+  if (text.endsWith('\n')) lines.pop();
+  let range;
+  if (spec.symbol) {
+    range = findSymbolLines(lines, spec.symbol, detectCompactFamily(spec.path, text));
+    if (!range) {
+      throw new Error(`Symbol "${spec.symbol}" not found in ${spec.path}`);
     }
-    const file = resources[i];
-    process.stdout.write(`Include "${file}"? [ENTER=s / q]> `);
-    rl.once('line', (ans) => {
-      const low = ans.trim().toLowerCase();
-      if (low === 's') {
-        // skip
-      } else if (low === 'q') {
-        // quit
-        i = resources.length;
-      } else {
-        // include
-        selected.push(file);
-      }
-      i++;
-      promptLoop(resolve);
-    });
-  };
-  await new Promise((resolve) => {
-    promptLoop(resolve);
-  });
-  return selected;
+  } else {
+    if (spec.start < 1 || spec.end < spec.start) {
+      throw new Error(`Invalid line range ${spec.selector.slice(1)} for ${spec.path}`);
+    }
+    if (spec.start > lines.length) {
+      throw new Error(`Line range ${spec.selector.slice(1)} is outside ${spec.path} (${lines.length} lines)`);
+    }
+    range = { start: spec.start, end: Math.min(spec.end, lines.length) };
+  }
+  return { text: lines.slice(range.start - 1, range.end).join('\n') + '\n', ...range };
 }
 
-/** parse size limit */
+/** "lines 120-180" or "handleChange, lines 40-62" for headers */
+function describeSlice(spec, slice) {
+  const lines = slice.start === slice.end ? `line ${slice.start}` : `lines ${slice.start}-${slice.end}`;
+  return spec.symbol ? `${spec.symbol}, ${lines}` : lines;
+}
+
+/** find a (possibly dotted, e.g. Store.add) symbol's declaration and extent */
+function findSymbolLines(lines, symbol, family) {
+  let range = { start: 1, end: lines.length };
+  for (const name of symbol.split('.')) {
+    range = family === 'markdown'
+      ? findHeadingLines(lines, name, range)
+      : findDeclarationLines(lines, name, range, family);
+    if (!range) return null;
+  }
+  return range;
+}
+
+function findDeclarationLines(lines, name, within, family) {
+  const id = name.replace(/\$/g, '\\$');
+  const mods = '(?:(?:export|default|declare|abstract|async|pub(?:\\([^)]*\\))?|public|private|protected|internal|static|final|override|unsafe|inline|open|data|sealed)\\s+)*';
+  const patterns = [
+    new RegExp(`^\\s*${mods}(?:function\\*?|class|def|fn|func|fun|interface|type|enum|struct|trait|impl|module|namespace|object)\\s+${id}(?![\\w$])`),
+    new RegExp(`^\\s*${mods}(?:const|let|var|val)\\s+${id}\\s*[=:]`),
+    new RegExp(`^func\\s*\\([^)]*\\)\\s*${id}\\b`),
+    new RegExp(`^\\s*${id}\\s*[:=]\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*=>|[\\w$]+\\s*=>)`),
+    new RegExp(`^\\s*(?:(?:public|private|protected|static|async|get|set|override|readonly|abstract)\\s+)*\\*?${id}\\s*(?:<[^>]*>)?\\s*\\([^;]*$`),
+    // typed languages: `public static void main(String[] args) {`
+    new RegExp(`^\\s*(?!(?:return|await|new|throw|else|yield|typeof|case)\\b)(?:[\\w<>\\[\\],.?]+\\s+)+${id}\\s*\\([^;]*$`)
+  ];
+  for (const re of patterns) {
+    for (let i = within.start - 1; i < within.end; i++) {
+      if (!re.test(lines[i])) continue;
+      let start = i;
+      // doc comments, decorators and attributes directly above belong to the symbol
+      while (start > within.start - 1 && /^\s*(@|\*|\/\*|\/\/|#\[|#(?![!\w]))/.test(lines[start - 1])) start--;
+      const end = family === 'python' ? endOfIndentedBlock(lines, i) : endOfBracedBlock(lines, i);
+      return { start: start + 1, end: Math.min(end, within.end - 1) + 1 };
+    }
+  }
+  return null;
+}
+
+/** markdown "#installation" or "#Installation": the section under that heading */
+function findHeadingLines(lines, name, within) {
+  const slug = (t) => t.toLowerCase().trim().replace(/[^\w\s-]/g, '').replace(/\s+/g, '-');
+  for (let i = within.start - 1; i < within.end; i++) {
+    const m = lines[i].match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!m || (slug(m[2]) !== slug(name) && m[2] !== name)) continue;
+    let end = i + 1;
+    while (end < within.end && !(lines[end].match(/^(#{1,6})\s/) && lines[end].match(/^#+/)[0].length <= m[1].length)) end++;
+    while (end > i + 1 && !lines[end - 1].trim()) end--;
+    return { start: i + 1, end };
+  }
+  return null;
+}
+
+function endOfIndentedBlock(lines, i) {
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+  const indent = indentOf(lines[i]);
+  let last = i;
+  for (let j = i + 1; j < lines.length; j++) {
+    if (!lines[j].trim()) continue;
+    // a closing bracket of a multi-line signature sits at the def's own indent
+    if (indentOf(lines[j]) <= indent && !/^\s*[)\]]/.test(lines[j])) break;
+    last = j;
+  }
+  return last;
+}
+
+function endOfBracedBlock(lines, i) {
+  const text = lines.slice(i).join('\n');
+  const syntax = compactSyntaxes.js;
+  let depth = 0;
+  let sawBrace = false;
+  let line = i;
+  let lastSignificant = '';
+  for (let k = 0; k < text.length; k++) {
+    const ch = text[k];
+    if (text.startsWith('/*', k) || text.startsWith('//', k)) {
+      const close = text.startsWith('/*', k) ? text.indexOf('*/', k + 2) : text.indexOf('\n', k) - 1;
+      const stop = close < 0 ? text.length : close + 2;
+      line += (text.slice(k, stop).match(/\n/g) || []).length;
+      k = stop - 1;
+      continue;
+    }
+    const literalEnd = scanLiteral(text, k, syntax, lastSignificant);
+    if (literalEnd !== -1) {
+      line += (text.slice(k, literalEnd).match(/\n/g) || []).length;
+      k = literalEnd - 1;
+      lastSignificant = ch;
+      continue;
+    }
+    if ('{(['.includes(ch)) {
+      depth++;
+      if (ch === '{') sawBrace = true;
+    } else if ('})]'.includes(ch)) {
+      depth--;
+      if (depth <= 0 && sawBrace) return line;
+    } else if (ch === ';' && depth === 0) {
+      return line;
+    } else if (ch === '\n') {
+      // a statement without braces or semicolon ends with its line
+      if (depth === 0 && !sawBrace && !/(=>|[=([{,:+\-*/|&?.])\s*$/.test(lines[line])) return line;
+      line++;
+    }
+    if (!/\s/.test(ch)) lastSignificant = ch;
+  }
+  return lines.length - 1;
+}
+
+/** prefix lines with their source line numbers, starting at firstLine */
+function addLineNumbers(text, firstLine = 1) {
+  const lines = text.replace(/\n$/, '').split('\n');
+  const width = String(firstLine + lines.length - 1).length;
+  return lines.map((line, idx) => `${String(firstLine + idx).padStart(width)} |${line ? ` ${line}` : ''}`).join('\n') + '\n';
+}
+
+// -----------------------------------------------------------------------------
+// Predefined lists (--predefined, .thisismy.txt)
+// -----------------------------------------------------------------------------
+
+// Inline options a list entry may carry after its path, e.g. "src/big.js outline"
+const listEntryOptions = {
+  outline: () => ({ outline: true, full: [] }),
+  full: () => ({ outline: false }),
+  tiny: (level) => {
+    if (level && !['safe', 'aggressive'].includes(level)) {
+      throw new Error(`unknown tiny level "${level}" (use safe or aggressive)`);
+    }
+    return level ? { tiny: true, tinyLevel: level } : { tiny: true };
+  },
+  'line-numbers': () => ({ lineNumbers: true }),
+  raw: () => ({ rawUrl: true }),
+  selector: (css) => ({ selector: requireListValue('selector', css) }),
+  'wait-for': (target) => ({ waitFor: requireListValue('wait-for', target) }),
+  js: () => ({ js: true })
+};
+
+// options taking a value; the rest are plain flags
+const listValueOptions = ['tiny', 'selector', 'wait-for'];
+
+function requireListValue(name, value) {
+  if (!value) throw new Error(`option "${name}" needs a value, e.g. ${name}="main .content"`);
+  return value;
+}
+
+/** split a list line into tokens, honouring "double quoted" paths and values (selector="main p") */
+function splitListLine(line) {
+  return [...line.matchAll(/(?:[^\s"]|"[^"]*")+/g)].map((m) => m[0].replace(/"([^"]*)"/g, '$1'));
+}
+
+/** a list token, quoted when it holds spaces */
+function quoteListValue(value) {
+  return /[\s"]/.test(value) ? `"${value}"` : value;
+}
+
+function parseListEntryOptions(tokens) {
+  const opts = {};
+  for (const token of tokens) {
+    const [name, value] = token.split(/=(.*)/s);
+    const make = listEntryOptions[name];
+    if (!make) {
+      throw new Error(`unknown option "${name}" (known: ${Object.keys(listEntryOptions).join(', ')})`);
+    }
+    if (value !== undefined && !listValueOptions.includes(name)) {
+      throw new Error(`option "${name}" takes no value`);
+    }
+    Object.assign(opts, make(value));
+  }
+  return opts;
+}
+
+/**
+ * Read a resource list: one path, glob or URL per line, optionally followed by
+ * per-entry options; "!pattern" drops earlier matches, "@include file" pulls
+ * in another list (relative to the including one). Globs and paths go through
+ * the usual ignore rules. Errors name the file and line.
+ */
+async function loadPredefinedList(listFile, options, stack = []) {
+  const abs = path.resolve(listFile);
+  const shown = path.relative(process.cwd(), abs) || listFile;
+  if (stack.includes(abs)) {
+    throw new Error(`Include cycle: ${[...stack, abs].map((f) => path.relative(process.cwd(), f)).join(' -> ')}`);
+  }
+  const text = fs.readFileSync(abs, 'utf8');
+  const entries = new Map(); // resource -> per-entry options
+  const directoriesScanned = new Set();
+  const ignoredFiles = [];
+  const warnings = [];
+  const lineOptions = { ...options, recursive: false, silent: true, changed: false, staged: false, since: undefined };
+
+  const lines = text.split(/\r?\n/);
+  for (let idx = 0; idx < lines.length; idx++) {
+    const where = `${shown}:${idx + 1}`;
+    const line = lines[idx].trim();
+    if (!line || line.startsWith('#')) continue;
+    try {
+      if (line.startsWith('@include')) {
+        const [target, ...extra] = splitListLine(line.slice('@include'.length));
+        if (!target || extra.length) throw new Error('@include takes exactly one list file');
+        const nested = await loadPredefinedList(path.resolve(path.dirname(abs), target), options, [...stack, abs]);
+        nested.entryOptions.forEach((opts, r) => entries.set(r, opts));
+        nested.directoriesScanned.forEach((d) => directoriesScanned.add(d));
+        ignoredFiles.push(...nested.ignoredFiles);
+        warnings.push(...nested.warnings);
+        continue;
+      }
+      const exclude = line.startsWith('!');
+      const [pattern, ...optionTokens] = splitListLine(exclude ? line.slice(1) : line);
+      if (!pattern) throw new Error(exclude ? '"!" needs a pattern' : 'empty entry');
+      if (exclude) {
+        if (optionTokens.length) throw new Error('exclude lines take no options');
+        const inArchive = archiveMember(pattern);
+        const matched = inArchive
+          ? globSync(inArchive.archive, { dot: true }).flatMap((a) => listArchiveMembers(a, inArchive.member))
+          : globSync(pattern, { dot: true });
+        const excluded = new Set([path.normalize(pattern), ...matched.map((f) => path.normalize(f))]);
+        for (const r of [...entries.keys()]) {
+          if (excluded.has(r.startsWith('http') ? r : path.normalize(parseResourceSpec(r).path))) entries.delete(r);
+        }
+        continue;
+      }
+      const opts = parseListEntryOptions(optionTokens);
+      if (pattern.startsWith('http')) {
+        entries.set(pattern, opts);
+        continue;
+      }
+      const resolved = await resolveResources({ ...lineOptions, file: [pattern] });
+      ignoredFiles.push(...resolved.ignoredFiles);
+      if (resolved.finalResources.length === 0 && resolved.ignoredFiles.length === 0) {
+        warnings.push(`${where}: "${pattern}" matches no files`);
+      }
+      // sorted so a list expands the same way on every file system
+      for (const r of [...resolved.finalResources].sort()) {
+        const spec = parseResourceSpec(r);
+        if (spec.selector) readSlice(spec);
+        entries.set(r, opts);
+      }
+      resolved.directoriesScanned.forEach((d) => directoriesScanned.add(d));
+    } catch (err) {
+      // nested lists already say where they failed
+      throw err.listLine ? err : Object.assign(new Error(`${where}: ${err.message}`), { listLine: true });
+    }
+  }
+  return {
+    resources: [...entries.keys()],
+    entryOptions: entries,
+    directoriesScanned: [...directoriesScanned],
+    ignoredFiles,
+    warnings
+  };
+}
+
+/** the options that apply to one resource: global ones plus its list entry's */
+function optionsFor(resourceName, options) {
+  const own = options.entryOptions?.get(resourceName);
+  return own ? { ...options, ...own } : options;
+}
+
+/** write resources (with their per-entry options) in the list format loadPredefinedList reads */
+function formatPredefinedList(resources, entryOptions = new Map()) {
+  const lines = [
+    `# thisismy list, saved ${formatDate(new Date())}`,
+    `# One path, glob or URL per line, optionally followed by: ${Object.keys(listEntryOptions).join(', ')}`,
+    '# "!pattern" excludes earlier matches, "@include other.thisismy.txt" pulls in another list',
+    ''
+  ];
+  for (const r of resources) {
+    const opts = entryOptions.get(r) || {};
+    const tokens = [quoteListValue(r)];
+    if (opts.outline === true) tokens.push('outline');
+    if (opts.outline === false) tokens.push('full');
+    if (opts.tiny) tokens.push(opts.tinyLevel ? `tiny=${opts.tinyLevel}` : 'tiny');
+    if (opts.lineNumbers) tokens.push('line-numbers');
+    if (opts.rawUrl) tokens.push('raw');
+    if (opts.selector) tokens.push(`selector=${quoteListValue(opts.selector)}`);
+    if (opts.waitFor) tokens.push(`wait-for=${quoteListValue(opts.waitFor)}`);
+    if (opts.js) tokens.push('js');
+    lines.push(tokens.join(' '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// -----------------------------------------------------------------------------
+// Git-aware selection (--changed, --staged, --since)
+// -----------------------------------------------------------------------------
+
+function usesGitSelection(options) {
+  return Boolean(options.changed || options.staged || options.since);
+}
+
+function runGit(args, { allowDiffExit = false, encoding = 'utf8' } = {}) {
+  try {
+    return execFileSync('git', args, { encoding, stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 });
+  } catch (err) {
+    // `git diff --no-index` exits with 1 when the files differ
+    if (allowDiffExit && err.status === 1) {
+      return err.stdout.toString();
+    }
+    const detail = (err.stderr || err.message || '').toString().trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+const gitStatusNames = {
+  A: 'added',
+  M: 'modified',
+  D: 'deleted',
+  R: 'renamed',
+  C: 'copied',
+  T: 'modified',
+  U: 'unmerged'
+};
+
+/** list changed files from git, paths relative to the current directory */
+function listGitChanges(options) {
+  const root = runGit(['rev-parse', '--show-toplevel']).trim();
+  let args;
+  let label;
+  if (options.staged) {
+    args = ['diff', '--cached', '--name-status', '-z', '-M'];
+    label = 'staged';
+  } else if (options.since) {
+    args = ['diff', '--name-status', '-z', '-M', options.since];
+    label = `since ${options.since}`;
+  } else {
+    args = ['diff', '--name-status', '-z', '-M', 'HEAD'];
+    label = 'uncommitted';
+  }
+
+  const toLocal = (p) => path.relative(process.cwd(), path.join(root, p)).split(path.sep).join('/');
+  const changes = [];
+  const fields = runGit(args).split('\0');
+  for (let i = 0; i < fields.length - 1;) {
+    const code = fields[i++];
+    const letter = code.charAt(0);
+    if (letter === 'R' || letter === 'C') {
+      const from = fields[i++];
+      const to = fields[i++];
+      changes.push({ status: gitStatusNames[letter], path: toLocal(to), from: toLocal(from), label });
+    } else {
+      changes.push({ status: gitStatusNames[letter] || 'modified', path: toLocal(fields[i++]), label });
+    }
+  }
+
+  if (options.changed) {
+    const untracked = runGit(['ls-files', '--others', '--exclude-standard', '--full-name', '-z', root]);
+    untracked.split('\0').filter(Boolean).forEach((p) => {
+      changes.push({ status: 'added', path: toLocal(p), label });
+    });
+  }
+  return changes;
+}
+
+/** with --staged, the bytes of a staged file as they are in the index rather than on disk */
+function readStagedBytes(file, options) {
+  const change = options.staged ? findGitChange(file, options) : null;
+  if (!change || change.status === 'deleted') return null;
+  return runGit(['show', `:./${toPosix(file)}`], { encoding: 'buffer' });
+}
+
+/** resolve resources from git changes, still honouring ignore rules and given patterns */
+function resolveGitResources(options, ig) {
+  const wanted = options.file && options.file.length ? ignore().add(options.file) : null;
+  const allIgnoredFiles = [];
+  const gitChanges = [];
+  const directoriesScanned = new Set();
+
+  for (const change of listGitChanges(options)) {
+    const insideCwd = !change.path.startsWith('../');
+    if (wanted && (!insideCwd || !wanted.ignores(change.path))) continue;
+    if (!options.greedy && ig.ignores(change.path)) {
+      allIgnoredFiles.push(change.path);
+      continue;
+    }
+    gitChanges.push(change);
+    directoriesScanned.add(path.dirname(change.path));
+  }
+
+  logIgnoredFiles(allIgnoredFiles, options);
+
+  return {
+    finalResources: gitChanges.map((c) => c.path),
+    directoriesScanned: [...directoriesScanned],
+    gitChanges
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Diff mode (--diff [ref])
+// -----------------------------------------------------------------------------
+
+/** ref to diff against, or null when diff mode is off */
+function getDiffRef(options) {
+  if (options.diff === undefined || options.diff === false) return null;
+  if (typeof options.diff === 'string' && options.diff) return options.diff;
+  return options.since || 'HEAD';
+}
+
+function isGitRef(ref) {
+  try {
+    runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isTrackedByGit(file) {
+  try {
+    runGit(['ls-files', '--error-unmatch', '--', file]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** split unified diff text into structured hunks */
+function parseUnifiedDiff(text) {
+  const hunks = [];
+  let current = null;
+  for (const line of text.split('\n')) {
+    const m = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/);
+    if (m) {
+      current = {
+        oldStart: Number(m[1]),
+        oldLines: m[2] === undefined ? 1 : Number(m[2]),
+        newStart: Number(m[3]),
+        newLines: m[4] === undefined ? 1 : Number(m[4]),
+        section: m[5],
+        lines: []
+      };
+      hunks.push(current);
+    } else if (current && /^[ +-]/.test(line)) {
+      const type = line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : 'context';
+      current.lines.push({ type, content: line.slice(1) });
+    }
+  }
+  return hunks;
+}
+
+/** unified diff of one file against ref, as text plus hunks */
+function buildFileDiff(file, options) {
+  const ref = getDiffRef(options);
+  const context = Number.isInteger(options.diffContext) && options.diffContext >= 0 ? options.diffContext : 3;
+  const change = findGitChange(file, options);
+  let out;
+  if (change?.status !== 'deleted' && fs.existsSync(file) && !isTrackedByGit(file)) {
+    // untracked files are diffed against nothing
+    out = runGit(['diff', '--no-index', `-U${context}`, '--', '/dev/null', file], { allowDiffExit: true });
+  } else {
+    const args = ['diff', '-M', `-U${context}`];
+    if (options.staged) args.push('--cached');
+    args.push(ref, '--');
+    if (change?.from) args.push(change.from);
+    args.push(file);
+    out = runGit(args);
+  }
+  const start = out.search(/^(--- |Binary files )/m);
+  let text = start >= 0 ? out.slice(start) : '';
+  if (!text && out.trim()) {
+    // pure renames and mode changes have no hunks, keep their extended header lines
+    text = out.split('\n').filter((l) => l && !/^(diff --git|index )/.test(l)).join('\n') + '\n';
+  }
+  return { ref, text, hunks: parseUnifiedDiff(text) };
+}
+
+/** git change recorded for a resource, if it was selected via git */
+function findGitChange(resourceName, options) {
+  const file = parseResourceSpec(resourceName).path;
+  return (options.gitChanges || []).find((c) => c.path === file);
+}
+
+/** Interactive selection of matched resources */
+async function interactiveSelect(resources, options) {
+  if (!resources.length) return [];
+  if (!options.silent) {
+    log(`Interactive mode: ${resources.length} total. Enter to include, "s" skip, "q" quit.\n`);
+  }
+  const selected = [];
+  let i = 0;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  const promptLoop = (resolve) => {
+    if (i >= resources.length) {
+      rl.close();
+      resolve();
+      return;
+    }
+    const file = resources[i];
+    process.stdout.write(`Include "${file}"? [ENTER=s / q]> `);
+    rl.once('line', (ans) => {
+      const low = ans.trim().toLowerCase();
+      if (low === 's') {
+        // skip
+      } else if (low === 'q') {
+        // quit
+        i = resources.length;
+      } else {
+        // include
+        selected.push(file);
+      }
+      i++;
+      promptLoop(resolve);
+    });
+  };
+  await new Promise((resolve) => {
+    promptLoop(resolve);
+  });
+  return selected;
+}
+
+/** parse size limit */
 function parseSizeLimit(limitArg) {
   if (!limitArg) {
     return { bytes: 1024 * 1024 }; // 1mb
   }
-  if (limitArg.toLowerCase() === 'no') {
-    return { bytes: undefined };
+  if (typeof limitArg === 'number') {
+    return { bytes: limitArg }; // programmatic callers may pass bytes
+  }
+  if (limitArg.toLowerCase() === 'no') {
+    return { bytes: undefined };
+  }
+  const regex = /^(\d+(?:\.\d+)?)(kb|mb)?$/i;
+  const match = limitArg.match(regex);
+  if (!match) {
+    throw new Error(`Invalid --limit value "${limitArg}" (use a size like 500kb or 2mb, or no)`);
+  }
+  const val = parseFloat(match[1]);
+  const unit = match[2] ? match[2].toLowerCase() : 'mb';
+  if (unit === 'kb') {
+    return { bytes: Math.round(val * 1024) };
+  }
+  // default mb
+  return { bytes: Math.round(val * 1024 * 1024) };
+}
+
+/** skip big files if limit is set */
+function applySizeLimit(filePaths, sizeLimitBytes) {
+  if (sizeLimitBytes === undefined) {
+    return { finalResourcesFiltered: filePaths, ignoredDueToSize: [] };
+  }
+  const finalResourcesFiltered = [];
+  const ignoredDueToSize = [];
+
+  for (const file of filePaths) {
+    if (file.startsWith('http')) {
+      finalResourcesFiltered.push(file);
+      continue;
+    }
+    try {
+      // a line range or symbol only counts with the size of its slice
+      const spec = parseResourceSpec(file);
+      const size = spec.selector ? Buffer.byteLength(readSlice(spec).text) : resourceStat(file).size;
+      if (size > sizeLimitBytes) {
+        ignoredDueToSize.push({
+          filePath: file,
+          sizeMB: size / (1024 * 1024)
+        });
+      } else {
+        finalResourcesFiltered.push(file);
+      }
+    } catch {}
+  }
+  return { finalResourcesFiltered, ignoredDueToSize };
+}
+
+/** parse token budget like 8000, 32k or 1.5m */
+function parseTokenCount(arg) {
+  if (arg === undefined || arg === null || arg === '') {
+    return undefined;
+  }
+  const match = String(arg).match(/^(\d+(?:\.\d+)?)(k|m)?$/i);
+  if (!match) {
+    throw new Error(`Invalid --max-tokens value "${arg}" (use a token count like 8000 or 32k)`);
+  }
+  const val = parseFloat(match[1]);
+  const unit = match[2] ? match[2].toLowerCase() : '';
+  if (unit === 'k') return Math.round(val * 1000);
+  if (unit === 'm') return Math.round(val * 1000000);
+  return Math.round(val);
+}
+
+// -----------------------------------------------------------------------------
+// Token estimation and budget
+// -----------------------------------------------------------------------------
+
+/**
+ * Rough BPE-style estimate: words up to six letters are one token, longer words and numbers
+ * split every few characters, punctuation and CJK characters count one each.
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const parts = text.match(/[\u3000-\u9fff\uac00-\ud7af]|\p{L}+|\p{N}+|\s+|[^\s\p{L}\p{N}]/gu) || [];
+  let tokens = 0;
+  for (const part of parts) {
+    if (/^\s+$/.test(part)) {
+      // a single space is merged into the following word
+      if (part !== ' ') tokens += 1;
+    } else if (/^\p{N}+$/u.test(part)) {
+      tokens += Math.ceil(part.length / 3);
+    } else if (/^\p{L}+$/u.test(part)) {
+      tokens += Math.ceil(part.length / 6);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+const tokenizers = {
+  estimate: estimateTokens,
+  chars: (text) => Math.ceil((text || '').length / 4)
+};
+
+/** resolve --tokenizer to a count function (built-in name, module path or function) */
+async function loadTokenizer(spec) {
+  if (typeof spec === 'function') return spec;
+  if (!spec) return tokenizers.estimate;
+  if (tokenizers[spec]) return tokenizers[spec];
+  const mod = await import(pathToFileURL(path.resolve(spec)).href);
+  const fn = typeof mod.default === 'function' ? mod.default : mod.countTokens;
+  if (typeof fn !== 'function') {
+    throw new Error(`Tokenizer module "${spec}" must export a default or countTokens function`);
+  }
+  return fn;
+}
+
+/** longest prefix of text that fits maxTokens, cut at a line break when one is close */
+function truncateToTokens(text, maxTokens, countTokens) {
+  if (countTokens(text) <= maxTokens) return text;
+  let lo = 0;
+  let hi = text.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (countTokens(text.slice(0, mid)) <= maxTokens) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  const nl = text.lastIndexOf('\n', lo);
+  const cutAt = nl > 0 && lo - nl < 200 ? nl : lo;
+  return text.slice(0, cutAt);
+}
+
+/**
+ * Fit entries into maxTokens using the chosen strategy:
+ * - drop: remove lowest priority entries (later resources first)
+ * - truncate: shorten the largest entry until everything fits
+ * - fail: throw
+ * measure(e) counts what an entry adds to the output (its prose form by
+ * default); reservedTokens covers what is printed once, like the prefix and tree.
+ * Returns kept entries plus a list of what was cut and why.
+ */
+function applyTokenBudget(entries, { maxTokens, strategy = 'drop', reservedTokens = 0, countTokens = estimateTokens, measure }) {
+  const strat = (strategy || 'drop').toLowerCase();
+  if (!['drop', 'truncate', 'fail'].includes(strat)) {
+    throw new Error(`Unknown budget strategy "${strategy}" (use drop, truncate or fail)`);
+  }
+  const measureEntry = measure || ((e) => countTokens(e.finalRaw));
+  entries.forEach((e, idx) => {
+    e.tokens = measureEntry(e);
+    if (e.priority === undefined) e.priority = 0;
+    e.order = idx;
+  });
+  let kept = [...entries];
+  const cut = [];
+  const total = () => kept.reduce((sum, e) => sum + e.tokens, reservedTokens);
+
+  if (maxTokens === undefined || total() <= maxTokens) {
+    return { entries: kept, cut, totalTokens: total(), maxTokens };
+  }
+
+  if (strat === 'fail') {
+    throw new Error(`Output is ~${total()} tokens, over the --max-tokens budget of ${maxTokens}`);
+  }
+
+  if (strat === 'drop') {
+    const dropOrder = [...kept].sort((a, b) => a.priority - b.priority || b.order - a.order);
+    for (const e of dropOrder) {
+      if (total() <= maxTokens) break;
+      kept = kept.filter((k) => k !== e);
+      cut.push({
+        resourceName: e.resourceName,
+        action: 'dropped',
+        reason: 'lowest priority',
+        tokensBefore: e.tokens,
+        tokensAfter: 0
+      });
+    }
+    return { entries: kept, cut, totalTokens: total(), maxTokens };
+  }
+
+  // truncate: cap the largest entries at a common level so they all fit
+  const marker = `\n[... truncated by thisismy to fit the token budget of ${maxTokens} ...]`;
+  const originalTokens = new Map(kept.map((e) => [e, e.tokens]));
+  while (total() > maxTokens) {
+    const level = tokenWaterLevel(kept.map((e) => e.tokens), maxTokens - reservedTokens);
+    let changed = false;
+    for (const e of kept) {
+      if (e.tokens > level && truncateEntry(e, level, marker, countTokens, measureEntry)) {
+        changed = true;
+      }
+    }
+    if (!changed) {
+      throw new Error(`Cannot fit output into ${maxTokens} tokens even with every file truncated`);
+    }
+  }
+  for (const e of kept) {
+    if (e.untruncatedContent !== undefined) {
+      cut.push({
+        resourceName: e.resourceName,
+        action: 'truncated',
+        reason: 'largest file',
+        tokensBefore: originalTokens.get(e),
+        tokensAfter: e.tokens
+      });
+    }
+  }
+  return { entries: kept, cut, totalTokens: total(), maxTokens };
+}
+
+/** highest per-entry cap so that the capped sizes sum to at most available */
+function tokenWaterLevel(sizes, available) {
+  const sorted = [...sizes].sort((a, b) => a - b);
+  let remaining = Math.max(0, available);
+  for (let i = 0; i < sorted.length; i++) {
+    const left = sorted.length - i;
+    if (sorted[i] * left > remaining) {
+      return Math.floor(remaining / left);
+    }
+    remaining -= sorted[i];
+  }
+  return Infinity;
+}
+
+/** shorten an entry's content so the whole entry is about targetTokens; false if nothing changed */
+function truncateEntry(e, targetTokens, marker, countTokens, measure) {
+  const original = e.untruncatedContent ?? e.rawContent;
+  const build = (content) => {
+    const rawContent = content + marker;
+    return measure({ ...e, rawContent, finalRaw: e.prefixContent + e.header + rawContent + e.footer });
+  };
+  let contentTarget = targetTokens - build('');
+  let content = '';
+  // token counts are not strictly additive, so shrink until the whole entry fits
+  while (contentTarget > 0) {
+    content = truncateToTokens(original, contentTarget, countTokens);
+    const over = build(content) - targetTokens;
+    if (over <= 0) break;
+    contentTarget -= over;
+    content = '';
+  }
+  const rawContent = content + marker;
+  if (rawContent === e.rawContent) return false;
+  e.untruncatedContent = original;
+  e.rawContent = rawContent;
+  e.finalRaw = e.prefixContent + e.header + e.rawContent + e.footer;
+  e.tokens = measure(e);
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Library API
+// -----------------------------------------------------------------------------
+
+/**
+ * Programmatic entry point: resolve `files` (or take ready `resources`), read,
+ * format and budget them, and return the rendered output with its entries.
+ * Takes the same option names as the CLI. Nothing is printed unless
+ * `silent: false`, and the clipboard and disk are only touched when `copy` or
+ * `output` is set. Errors are thrown, never turned into process exits. With
+ * `stdout`, the output is written to stdout and any messages to stderr.
+ */
+async function pack(opts = {}) {
+  const options = { silent: true, ...opts };
+  const previous = messagesToStderr;
+  messagesToStderr = Boolean(options.stdout);
+  try {
+    return await packRun(options);
+  } finally {
+    messagesToStderr = previous;
+  }
+}
+
+/** the body of pack(), with its defaults applied */
+async function packRun(options) {
+  if (options.files && !options.file) {
+    options.file = options.files;
+  }
+  if (options.offline && options.refresh) {
+    throw new Error('--offline and --refresh cannot be combined');
+  }
+  if (options.stdout && options.split) {
+    throw new Error('--stdout and --split cannot be combined');
+  }
+  // bad values fail before anything is read
+  parseSizeLimit(options.limit);
+  parseTokenCount(options.maxTokens);
+
+  let resources = options.resources;
+  let directoriesScanned = [];
+  if (!resources && options.predefined) {
+    const list = await loadPredefinedList(options.predefined, options);
+    resources = list.resources;
+    directoriesScanned = list.directoriesScanned;
+    options.entryOptions = list.entryOptions;
+  }
+  if (!resources && options.filesFrom) {
+    options.file = [...(options.file || []), ...filesFromPatterns(options)];
+  }
+  if (!resources) {
+    if ((!options.file || options.file.length === 0) && !usesGitSelection(options)) {
+      throw new Error('pack() needs `files` patterns, a `predefined` list, `resources` or a git selection');
+    }
+    const resolved = await resolveResources(options);
+    resources = resolved.finalResources;
+    directoriesScanned = resolved.directoriesScanned;
+    if (resolved.gitChanges) {
+      options.gitChanges = resolved.gitChanges;
+    }
+  }
+
+  if (resources.some((r) => r.startsWith('http'))) {
+    resources = await expandUrlResources(resources, options);
+  }
+
+  // fail early on symbols or line ranges that do not exist
+  for (const r of resources) {
+    const spec = r.startsWith('http') ? null : parseResourceSpec(r);
+    if (spec?.selector) readSlice(spec, options);
+  }
+
+  // deleted files have nothing to size-check or sniff but are still reported
+  const isDeleted = (r) => findGitChange(r, options)?.status === 'deleted';
+  const sized = applySizeLimit(resources.filter((r) => !isDeleted(r)), parseSizeLimit(options.limit).bytes);
+  const ignoredDueToSize = sized.ignoredDueToSize;
+  const { finalResourcesFiltered: textResources, ignoredAsBinary } = applyBinaryFilter(sized.finalResourcesFiltered);
+  const finalResourcesFiltered = resources.filter((r) => isDeleted(r) || textResources.includes(r));
+  const result = {
+    output: '',
+    entries: [],
+    tree: null,
+    resources: finalResourcesFiltered,
+    directoriesScanned,
+    ignoredDueToSize,
+    ignoredAsBinary,
+    ignoredSelections: [],
+    notCached: [],
+    budget: null,
+    redactions: [],
+    tinySavings: []
+  };
+  if (finalResourcesFiltered.length === 0) {
+    return result;
+  }
+
+  const prefixContent = loadPrefixContent(options.prefix);
+  let processed;
+  try {
+    processed = await processFilesAndUrls(options, prefixContent, finalResourcesFiltered);
+  } finally {
+    // watch mode keeps the browser for its re-checks and re-runs
+    if (!options.watch) await closeBrowser();
+  }
+  result.output = processed.output;
+  result.entries = processed.entries;
+  result.budget = processed.budget;
+  result.redactions = processed.redactions;
+  result.tinySavings = processed.tinySavings;
+  result.ignoredSelections = processed.ignoredSelections;
+  result.notCached = processed.notCached;
+  const skipped = [...processed.ignoredDueToSize, ...processed.ignoredAsBinary, ...processed.ignoredSelections, ...processed.notCached]
+    .map((i) => i.filePath);
+  if (skipped.length) {
+    ignoredDueToSize.push(...processed.ignoredDueToSize);
+    ignoredAsBinary.push(...processed.ignoredAsBinary);
+    result.resources = finalResourcesFiltered.filter((r) => !skipped.includes(r));
+  }
+
+  let treeSection = '';
+  if (options.tree) {
+    result.tree = buildTreeOutput(processed.entries.map((e) => e.resourceName), options);
+    treeSection = formatTreeSection(result.tree, options);
+    result.output = appendSection(result.output, treeSection, options);
+    if (!options.silent) {
+      log(result.tree.coloredTree);
+    }
+  }
+  if (options.split) {
+    const limit = parseSplitLimit(options.split);
+    const countTokens = await loadTokenizer(options.tokenizer);
+    result.parts = splitIntoParts(processed.entries, options, limit, countTokens, treeSection);
+  }
+
+  if (ignoredDueToSize.length > 0 && !options.silent) {
+    log(`\nSkipped ${ignoredDueToSize.length} file(s) due to size limit:`);
+    ignoredDueToSize.forEach((info) => {
+      log(` - ${info.filePath} (${info.atLeast ? 'over ' : ''}${info.sizeMB.toFixed(2)} MB)`);
+    });
+    log('');
+  }
+  reportBinarySkipped(ignoredAsBinary, options);
+  if (result.ignoredSelections.length > 0 && !options.silent) {
+    log(`\nSkipped ${result.ignoredSelections.length} selection(s) that no longer match:`);
+    result.ignoredSelections.forEach((info) => {
+      log(` - ${info.filePath} (${info.reason})`);
+    });
+    log('');
+  }
+  if (result.notCached.length > 0 && !options.silent) {
+    log(`\nSkipped ${result.notCached.length} URL(s) not in the URL cache (--offline):`);
+    result.notCached.forEach((info) => {
+      log(` - ${info.filePath}`);
+    });
+    log('');
+  }
+  reportRedactions(processed.redactions, options);
+  reportTinySavings(processed.tinySavings, options);
+  reportBudget(processed.budget, options);
+
+  if (result.parts && result.parts.length > 1) {
+    await deliverParts(result.parts, options);
+    return result;
+  }
+  if (options.output) {
+    fs.writeFileSync(options.output, result.output);
+    logColored(`Output written to ${options.output}`, chalk.yellow, options);
+  }
+  if (options.copy) {
+    clipboardy.writeSync(result.output);
+    logColored('Output copied to clipboard', chalk.yellow, options);
+  }
+  if (options.stdout) {
+    process.stdout.write(result.output);
+  }
+  return result;
+}
+
+// -----------------------------------------------------------------------------
+// Splitting output into parts (--split)
+// -----------------------------------------------------------------------------
+
+/** --split value: a size with unit (200kb, 1.5mb, 50000b) or a token count (30k, 8000) */
+function parseSplitLimit(arg) {
+  const size = String(arg).match(/^(\d+(?:\.\d+)?)(b|kb|mb)$/i);
+  if (size) {
+    const factor = { b: 1, kb: 1024, mb: 1024 * 1024 }[size[2].toLowerCase()];
+    return { bytes: Math.round(parseFloat(size[1]) * factor) };
+  }
+  if (/^\d+(?:\.\d+)?[km]?$/i.test(String(arg))) {
+    return { tokens: parseTokenCount(arg) };
+  }
+  throw new Error(`Invalid --split value "${arg}" (use a size like 200kb or a token count like 30k)`);
+}
+
+/** the tree or another trailing section; xml keeps its single root element */
+function appendSection(output, section, options) {
+  if (!section) return output;
+  if ((options.format || 'md').toLowerCase() === 'xml' && /<\/\w+>\n$/.test(output)) {
+    return output.replace(/(<\/\w+>\n)$/, `${section}$1`);
+  }
+  return output + section;
+}
+
+/** one line per entry for a part's manifest */
+function manifestLine(e) {
+  return `${e.resourceName}${entryNote(e)}`;
+}
+
+/** wrap a rendered part in "part N of M" framing with a manifest of its files */
+function framePart(body, entries, index, total, options, tree = '') {
+  const files = entries.map(manifestLine);
+  const more = index < total ? ' More parts follow; wait for all of them before answering.' : '';
+  switch ((options.format || 'md').toLowerCase()) {
+    case 'json': {
+      const part = { part: index, of: total, files, documents: JSON.parse(body) };
+      if (more) part.note = more.trim();
+      if (tree) part.tree = tree.trim();
+      return JSON.stringify(part, null, 2) + '\n';
+    }
+    case 'xml':
+      return `<part index="${index}" total="${total}">\n<manifest>\n` +
+        files.map((f) => `<file>${xmlText(f)}</file>\n`).join('') +
+        `</manifest>\n${body}${more ? `<note>${more.trim()}</note>\n` : ''}</part>\n`;
+    case 'html':
+      return body
+        .replace('<body>\n', `<body>\n<h1>Part ${index} of ${total}</h1>\n<ul>\n${files.map((f) => `<li>${escapeHtml(f)}</li>`).join('\n')}\n</ul>\n`)
+        .replace('</body>', `<p>End of part ${index} of ${total}.${escapeHtml(more)}</p>\n</body>`);
+    case 'md':
+      return `# Part ${index} of ${total}\n\nFiles in this part:\n\n${files.map((f) => `- ${f}`).join('\n')}\n\n${body}` +
+        `_End of part ${index} of ${total}.${more}_\n`;
+    default:
+      return `--- Part ${index} of ${total} ---\nFiles in this part:\n${files.map((f) => ` - ${f}`).join('\n')}\n\n${body}` +
+        `--- End of part ${index} of ${total}.${more} ---\n`;
+  }
+}
+
+/** a piece of an entry that is too large for one part, by whole lines */
+function chunkEntry(e, lines, from, count, index, total) {
+  const rawContent = lines.slice(from, from + count).join('');
+  const header = e.header.replace(/\n*$/, '') + ` (chunk ${index} of ${total})\n\n`;
+  return {
+    ...e,
+    rawContent,
+    header,
+    finalRaw: e.prefixContent + header + rawContent + e.footer,
+    chunk: { index, total, from, count }
+  };
+}
+
+/**
+ * Break entries into parts no larger than the limit, measured on the fully
+ * rendered part. Parts break on file boundaries; a file that cannot fit in a
+ * part of its own is cut by lines into chunks.
+ */
+function splitIntoParts(entries, options, limit, countTokens, treeSection = '') {
+  const quiet = { ...options, silent: true };
+  const isJson = (options.format || '').toLowerCase() === 'json';
+  // json carries the tree as a field, every other format as a trailing section
+  const render = (list, index, total, isLast) => {
+    const tree = isLast ? treeSection : '';
+    const body = isJson ? formatEntries(list, quiet) : appendSection(formatEntries(list, quiet), tree, quiet);
+    return framePart(body, list, index, total, quiet, isJson ? tree : '');
+  };
+  // room for the part numbers and the "more parts follow" note before the total is known
+  const measure = (list, isLast = false) => {
+    const text = render(list, 998, 999, isLast);
+    return limit.bytes !== undefined ? Buffer.byteLength(text) : countTokens(text);
+  };
+  const max = limit.bytes !== undefined ? limit.bytes : limit.tokens;
+  const fits = (list) => measure(list) <= max;
+
+  const groups = [];
+  let current = [];
+  for (const entry of entries) {
+    // the prefix is sent once, with the first part
+    const e = groups.length === 0 && current.length === 0 ? entry : { ...entry, prefixContent: '', finalRaw: entry.finalRaw.slice(entry.prefixContent.length) };
+    if (fits([...current, e])) {
+      current.push(e);
+      continue;
+    }
+    if (current.length > 0) {
+      groups.push(current);
+      current = [];
+      if (fits([e])) {
+        current.push(e);
+        continue;
+      }
+    }
+    const lines = e.rawContent.match(/[^\n]*\n|[^\n]+$/g) || [''];
+    const chunks = [];
+    let from = 0;
+    while (from < lines.length) {
+      // largest number of lines that still fits; a single overlong line goes alone
+      let lo = 1;
+      let hi = lines.length - from;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (fits([chunkEntry(e, lines, from, mid, 999, 999)])) lo = mid;
+        else hi = mid - 1;
+      }
+      chunks.push({ from, count: lo });
+      from += lo;
+    }
+    const pieces = chunks.map((c, idx) => {
+      const piece = chunkEntry(e, lines, c.from, c.count, idx + 1, chunks.length);
+      delete piece.chunk.from;
+      delete piece.chunk.count;
+      return piece;
+    });
+    pieces.slice(0, -1).forEach((piece) => groups.push([piece]));
+    current = [pieces[pieces.length - 1]];
+  }
+  if (current.length > 0) groups.push(current);
+  // the tree rides with the last part, which may then need a part of its own
+  if (treeSection && groups.length > 1 && measure(groups[groups.length - 1], true) > max) {
+    groups.push([]);
+  }
+
+  return groups.map((group, idx) => ({
+    index: idx + 1,
+    total: groups.length,
+    resources: [...new Set(group.map((e) => e.resourceName))],
+    output: render(group, idx + 1, groups.length, idx === groups.length - 1)
+  }));
+}
+
+/** out.md -> out.part2.md */
+function partFileName(output, index) {
+  const { dir, name, ext } = path.parse(output);
+  return path.join(dir, `${name}.part${index}${ext}`);
+}
+
+/** write parts next to --output and/or copy them one at a time */
+async function deliverParts(parts, options) {
+  if (options.output) {
+    for (const part of parts) {
+      fs.writeFileSync(partFileName(options.output, part.index), part.output);
+    }
+    // parts left over from an earlier, longer run would look like they belong to
+    // this one; only names this function writes are touched
+    const dir = path.dirname(options.output);
+    const stale = fs.readdirSync(dir)
+      .map((f) => path.join(dir, f))
+      .filter((f) => {
+        const n = Number(f.match(/\.part(\d+)(?:\.[^.]*)?$/)?.[1]);
+        return n > parts.length && f === partFileName(options.output, n);
+      });
+    stale.forEach((f) => fs.unlinkSync(f));
+    logColored(`Output split into ${parts.length} parts: ${partFileName(options.output, 1)} .. ${partFileName(options.output, parts.length)}`, chalk.yellow, options);
+    if (stale.length) {
+      logColored(`Removed ${stale.length} part(s) left over from an earlier run: ${stale.join(', ')}`, chalk.yellow, options);
+    }
+  }
+  if (options.copy) {
+    for (const part of parts) {
+      clipboardy.writeSync(part.output);
+      if (part.index === part.total) {
+        logColored(`Part ${part.index} of ${part.total} copied to clipboard`, chalk.yellow, options);
+        break;
+      }
+      const ans = await askInput(`Part ${part.index} of ${part.total} copied to clipboard. Press ENTER to copy part ${part.index + 1} (x to stop): `);
+      if (ans.trim().toLowerCase() === 'x') break;
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Tiny mode (language-aware compaction)
+// -----------------------------------------------------------------------------
+
+// Comment and string syntax per language family. rawQuotes have no escapes (Go
+// raw strings); keepIndent marks languages where indentation carries meaning;
+// keepBlankLines keeps paragraph breaks.
+const compactSyntaxes = {
+  js: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'], regex: true },
+  c: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'], rawQuotes: ['`'] },
+  css: { block: [['/*', '*/']], quotes: ['"', "'"] },
+  python: { line: ['#'], quotes: ['"', "'"], triple: true, keepIndent: true },
+  hash: { line: ['#'], quotes: ['"', "'"], lineNeedsSpace: true, keepIndent: true },
+  ini: { line: ['#', ';'], quotes: ['"', "'"], lineNeedsSpace: true, keepIndent: true },
+  sql: { line: ['--'], block: [['/*', '*/']], quotes: ['"', "'"] },
+  lua: { line: ['--'], block: [['--[[', ']]']], quotes: ['"', "'"] },
+  markup: { block: [['<!--', '-->']], keepIndent: true },
+  markdown: { block: [['<!--', '-->']], keepIndent: true, keepBlankLines: true },
+  text: { keepIndent: true, keepBlankLines: true }
+};
+
+const compactExtensions = {
+  js: ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.tsx', '.mts', '.cts'],
+  c: ['.c', '.h', '.cc', '.cpp', '.hpp', '.cxx', '.java', '.cs', '.go', '.rs', '.swift', '.kt', '.kts',
+    '.scala', '.dart', '.php', '.groovy', '.gradle', '.m', '.mm', '.proto', '.scss', '.less', '.zig'],
+  css: ['.css'],
+  python: ['.py', '.pyw', '.pyi'],
+  hash: ['.sh', '.bash', '.zsh', '.fish', '.rb', '.pl', '.pm', '.r', '.yaml', '.yml', '.toml', '.conf',
+    '.cfg', '.tf', '.hcl', '.nix', '.ps1', '.coffee', '.cmake', '.mk', '.dockerfile', '.env'],
+  ini: ['.ini', '.properties'],
+  sql: ['.sql'],
+  lua: ['.lua'],
+  markup: ['.html', '.htm', '.xhtml', '.xml', '.svg', '.vue', '.svelte'],
+  markdown: ['.md', '.markdown', '.mdx', '.rst']
+};
+
+const compactFileNames = {
+  hash: ['makefile', 'gnumakefile', 'dockerfile', 'gemfile', 'rakefile', 'procfile', '.env', '.gitignore', '.thisismyignore']
+};
+
+/** pick the compaction family from file name, extension or shebang */
+function detectCompactFamily(resourceName, text) {
+  const base = path.basename(resourceName).toLowerCase();
+  const ext = path.extname(base);
+  if (['.json', '.jsonc', '.webmanifest'].includes(ext)) return 'json';
+  for (const [family, names] of Object.entries(compactFileNames)) {
+    if (names.includes(base) || base.startsWith('.env.')) return family;
+  }
+  for (const [family, exts] of Object.entries(compactExtensions)) {
+    if (exts.includes(ext)) return family;
+  }
+  const shebang = text.match(/^#!.*\b(python3?|node|deno|bun|bash|sh|zsh|ruby|perl)\b/);
+  if (shebang) {
+    if (shebang[1].startsWith('python')) return 'python';
+    if (['node', 'deno', 'bun'].includes(shebang[1])) return 'js';
+    return 'hash';
+  }
+  return 'text';
+}
+
+/** end index of the string or regex literal starting at i, or -1 if none starts there */
+function scanLiteral(text, i, syntax, lastSignificant) {
+  const { quotes = [], rawQuotes = [], triple = false, regex = false } = syntax;
+  const n = text.length;
+  const ch = text[i];
+  if (quotes.includes(ch)) {
+    const delim = triple && text.startsWith(ch.repeat(3), i) ? ch.repeat(3) : ch;
+    let j = i + delim.length;
+    while (j < n) {
+      if (text[j] === '\\' && !rawQuotes.includes(ch)) {
+        j += 2;
+        continue;
+      }
+      if (text.startsWith(delim, j)) return j + delim.length;
+      // plain quotes end at the line, so a stray apostrophe cannot swallow the file
+      if (text[j] === '\n' && delim.length === 1 && ch !== '`') return j;
+      j++;
+    }
+    return n;
+  }
+  if (regex && ch === '/' && (lastSignificant === '' || /[(,=:[!&|?{};+\-*%<>~^]/.test(lastSignificant))) {
+    let j = i + 1;
+    let inClass = false;
+    while (j < n && text[j] !== '\n') {
+      if (text[j] === '\\') {
+        j += 2;
+        continue;
+      }
+      if (text[j] === '[') inClass = true;
+      else if (text[j] === ']') inClass = false;
+      else if (text[j] === '/' && !inClass) {
+        j++;
+        break;
+      }
+      j++;
+    }
+    while (j < n && /[a-z]/i.test(text[j])) j++;
+    return j;
+  }
+  return -1;
+}
+
+/** remove comments while leaving string, template and regex literals untouched */
+function stripComments(text, syntax) {
+  const { line = [], block = [], lineNeedsSpace = false } = syntax;
+  const n = text.length;
+  let out = '';
+  let i = 0;
+  let lastSignificant = '';
+  while (i < n) {
+    const ch = text[i];
+    const blk = block.find(([open]) => text.startsWith(open, i));
+    if (blk) {
+      const end = text.indexOf(blk[1], i + blk[0].length);
+      const stop = end === -1 ? n : end + blk[1].length;
+      // keep the line breaks so code around it is not joined and line numbers still hold
+      const breaks = (text.slice(i, stop).match(/\n/g) || []).length;
+      out += breaks ? '\n'.repeat(breaks) : ' ';
+      i = stop;
+      continue;
+    }
+    const wordStart = i === 0 || /\s/.test(text[i - 1]);
+    if (line.some((m) => text.startsWith(m, i)) && (!lineNeedsSpace || wordStart)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? n : end;
+      continue;
+    }
+    const literalEnd = scanLiteral(text, i, syntax, lastSignificant);
+    if (literalEnd !== -1) {
+      out += text.slice(i, literalEnd);
+      i = literalEnd;
+      lastSignificant = ch;
+      continue;
+    }
+    out += ch;
+    if (!/\s/.test(ch)) lastSignificant = ch;
+    i++;
+  }
+  return out;
+}
+
+/** collapse inner runs of spaces to one, leaving indentation and literals as they are */
+function collapseSpaces(text, syntax) {
+  const n = text.length;
+  let out = '';
+  let i = 0;
+  let lastSignificant = '';
+  while (i < n) {
+    const ch = text[i];
+    const literalEnd = scanLiteral(text, i, syntax, lastSignificant);
+    if (literalEnd !== -1) {
+      out += text.slice(i, literalEnd);
+      i = literalEnd;
+      lastSignificant = ch;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t') {
+      let j = i;
+      while (j < n && (text[j] === ' ' || text[j] === '\t')) j++;
+      const indent = out === '' || out.endsWith('\n');
+      out += indent || j - i === 1 ? text.slice(i, j) : ' ';
+      i = j;
+      continue;
+    }
+    out += ch;
+    if (!/\s/.test(ch)) lastSignificant = ch;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * trim line ends, collapse inner runs of spaces outside strings, drop blank
+ * lines and (optionally) indentation; with firstLine, kept lines carry their
+ * source number
+ */
+function tidyLines(text, { keepIndent = false, keepBlankLines = false, firstLine, ...syntax } = {}) {
+  const out = [];
+  const lines = collapseSpaces(text, syntax).split(/\r?\n/);
+  const width = firstLine === undefined ? 0 : String(firstLine + lines.length - 1).length;
+  lines.forEach((line, idx) => {
+    const indent = line.match(/^[ \t]*/)[0];
+    const body = line.slice(indent.length).replace(/[ \t]+$/, '');
+    if (!body) {
+      if (keepBlankLines && out.length && out[out.length - 1] !== '') out.push('');
+      return;
+    }
+    const number = firstLine === undefined ? '' : `${String(firstLine + idx).padStart(width)} | `;
+    out.push(number + (keepIndent ? indent : '') + body);
+  });
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out.join('\n');
+}
+
+/**
+ * --tiny: per-language compaction that keeps code valid. Comments and blank
+ * lines go, runs of spaces collapse, JSON is minified, and indentation stays
+ * where it is significant. Level "aggressive" collapses all whitespace.
+ * With firstLine (--line-numbers) the remaining lines keep their source numbers.
+ */
+function compactContent(text, resourceName, level = 'safe', firstLine) {
+  const lvl = (level || 'safe').toLowerCase();
+  if (lvl === 'aggressive') {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+  if (lvl !== 'safe') {
+    throw new Error(`Unknown tiny level "${level}" (use safe or aggressive)`);
+  }
+  const family = detectCompactFamily(resourceName, text);
+  if (family === 'json') {
+    // minified JSON is a single line, so there is nothing left to number
+    const candidates = firstLine === undefined ? [text, stripComments(text, compactSyntaxes.c)] : [];
+    for (const candidate of candidates) {
+      try {
+        return JSON.stringify(JSON.parse(candidate));
+      } catch {}
+    }
+    return tidyLines(stripComments(text, compactSyntaxes.c), { ...compactSyntaxes.c, firstLine });
+  }
+  const syntax = compactSyntaxes[family];
+  // a shebang looks like a comment but has to stay
+  const shebang = text.startsWith('#!') ? text.slice(0, text.indexOf('\n') + 1 || text.length) : '';
+  const body = shebang + stripComments(text.slice(shebang.length), syntax);
+  return tidyLines(body, { ...syntax, firstLine });
+}
+
+// -----------------------------------------------------------------------------
+// Outline mode
+// -----------------------------------------------------------------------------
+
+const outlineElision = '...';
+const outlineFamilies = ['js', 'c', 'python', 'markdown'];
+
+/** --outline applies unless the file matches one of the --full patterns */
+function wantsOutline(resourceName, options) {
+  if (!options.outline || resourceName.startsWith('http')) return false;
+  const full = [].concat(options.full || []).filter(Boolean);
+  if (full.length === 0) return true;
+  const rel = toPosix(path.relative(process.cwd(), path.resolve(resourceName)));
+  if (!rel || rel.startsWith('../') || path.isAbsolute(rel)) return true;
+  return !ignore().add(full).ignores(rel);
+}
+
+/** does the brace about to open start a function or statement body (as opposed to a class, object or type)? */
+function opensBody(out) {
+  const cut = Math.max(out.lastIndexOf(';'), out.lastIndexOf('{'), out.lastIndexOf('}'));
+  const header = out.slice(cut + 1)
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(["'`])(?:\\.|(?!\1)[^\\])*\1/g, '""');
+  if (/=>\s*$/.test(header)) return true;
+  if (/\b(class|interface|struct|enum|trait|impl|namespace|record)\b/.test(header)) return false;
+  if (/(\)|\b(?:else|try|finally|do|static))\s*$/.test(header)) return true;
+  // return types and throws clauses between ")" and "{": `): Promise<T> {`, `) -> T {`, `) error {`
+  const paren = header.lastIndexOf(')');
+  return paren !== -1 && /^[\w$.*[\]<>,|&?\s:'"-]*$/.test(header.slice(paren + 1));
+}
+
+/** brace languages: keep declarations and doc comments, elide function bodies */
+function outlineBraces(text, syntax) {
+  const n = text.length;
+  let out = '';
+  let depth = 0;
+  let lastSignificant = '';
+  let i = 0;
+  while (i < n) {
+    const ch = text[i];
+    if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? n : end + 2;
+      if (depth === 0 && text.startsWith('/**', i) && !text.startsWith('/**/', i)) out += text.slice(i, stop);
+      i = stop;
+      continue;
+    }
+    if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? n : end;
+      continue;
+    }
+    const literalEnd = scanLiteral(text, i, syntax, lastSignificant);
+    if (literalEnd !== -1) {
+      if (depth === 0) out += text.slice(i, literalEnd);
+      i = literalEnd;
+      lastSignificant = ch;
+      continue;
+    }
+    if (ch === '{' && (depth > 0 || opensBody(out))) {
+      if (depth === 0) out += `{ ${outlineElision} }`;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+    } else if (depth === 0) {
+      out += ch;
+    }
+    if (!/\s/.test(ch)) lastSignificant = ch;
+    i++;
+  }
+  return out;
+}
+
+/** python: keep everything but def bodies, which shrink to their docstring and `...` */
+function outlinePython(text) {
+  const lines = text.split(/\r?\n/);
+  const indentOf = (line) => line.match(/^\s*/)[0].length;
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const m = lines[i].match(/^(\s*)(?:async\s+)?def\b/);
+    if (!m) {
+      out.push(lines[i++]);
+      continue;
+    }
+    const indent = m[1].length;
+    // a signature may span several lines; it ends at the line closing with ":"
+    let headerEnd = i;
+    while (headerEnd < lines.length && headerEnd - i < 20 && !/:\s*(#.*)?$/.test(lines[headerEnd])) headerEnd++;
+    if (headerEnd >= lines.length || headerEnd - i >= 20) {
+      out.push(lines[i++]);
+      continue;
+    }
+    out.push(...lines.slice(i, headerEnd + 1));
+    i = headerEnd + 1;
+    let j = i;
+    while (j < lines.length && !lines[j].trim()) j++;
+    const bodyIndent = j < lines.length && indentOf(lines[j]) > indent ? lines[j].match(/^\s*/)[0] : ' '.repeat(indent + 4);
+    const doc = j < lines.length ? lines[j].match(/^\s*[rRuU]?("""|''')/) : null;
+    if (doc && indentOf(lines[j]) > indent) {
+      const rest = lines[j].slice(lines[j].indexOf(doc[1]) + 3);
+      let k = j;
+      if (!rest.includes(doc[1])) {
+        k++;
+        while (k < lines.length && !lines[k].includes(doc[1])) k++;
+      }
+      out.push(...lines.slice(j, k + 1));
+    }
+    out.push(bodyIndent + outlineElision);
+    while (i < lines.length && (!lines[i].trim() || indentOf(lines[i]) > indent)) i++;
+    out.push('');
+  }
+  return out.join('\n');
+}
+
+/** markdown: the heading structure */
+function outlineMarkdown(text) {
+  const out = [];
+  let fence = null;
+  for (const line of text.split(/\r?\n/)) {
+    const f = line.match(/^\s*(`{3,}|~{3,})/);
+    if (f && (!fence || f[1].startsWith(fence))) {
+      fence = fence ? null : f[1];
+      continue;
+    }
+    if (!fence && /^#{1,6}\s/.test(line)) out.push(line);
+  }
+  return out.join('\n');
+}
+
+/**
+ * --outline: reduce a file to its shape (imports, exports, class and function
+ * signatures, doc comments) with bodies elided. Returns null for file types
+ * without an outliner, which are then included in full.
+ */
+function outlineContent(text, resourceName) {
+  const family = detectCompactFamily(resourceName, text);
+  if (!outlineFamilies.includes(family)) return null;
+  let out;
+  if (family === 'js' || family === 'c') {
+    out = outlineBraces(text, compactSyntaxes[family]);
+  } else if (family === 'python') {
+    out = outlinePython(text);
+  } else {
+    out = outlineMarkdown(text);
+  }
+  return out
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+// -----------------------------------------------------------------------------
+// Secret redaction
+// -----------------------------------------------------------------------------
+
+const redactAllowFile = '.thisismyallow';
+
+// `group` picks the secret out of a larger match (e.g. the value of an assignment)
+const secretPatterns = [
+  { kind: 'private-key', regex: /-----BEGIN [A-Z ]*PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY( BLOCK)?-----/g },
+  { kind: 'aws-access-key', regex: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'aws-secret-key', regex: /aws_secret_access_key["']?\s*[:=]\s*["']?([A-Za-z0-9/+=]{40})/gi, group: 1 },
+  { kind: 'gcp-api-key', regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: 'github-token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { kind: 'slack-token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { kind: 'stripe-key', regex: /\b[rs]k_(?:live|test)_[A-Za-z0-9]{16,}\b/g },
+  { kind: 'api-key', regex: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}/g },
+  { kind: 'jwt', regex: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  { kind: 'connection-string', regex: /\b(?:AccountKey|SharedAccessKey)=([A-Za-z0-9+/=]{20,})/g, group: 1 },
+  { kind: 'url-password', regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:([^\s@/]+)@/gi, group: 1 },
+  {
+    kind: 'named-secret',
+    regex: /[\w.-]*(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|auth[_-]?key|credential)s?\w*["']?\s*[:=]\s*(["'`])([^"'`\s]{8,})\1/gi,
+    group: 2,
+    minEntropy: 3
+  },
+  { kind: 'high-entropy', regex: /[A-Za-z0-9+/_=-]{32,}/g, minEntropy: 4.5 }
+];
+
+// KEY=value lines in .env files, also after --tiny joined them onto one line and
+// as added or removed lines of a --diff
+const envValuePattern = { kind: 'env', regex: /(?:^|\s)[+-]?(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=("[^"]*"|'[^']*'|[^\s#]+)/g, group: 2, nameGroup: 1 };
+
+function isEnvFile(resourceName) {
+  return /(^|[\\/])\.env(\.[\w.-]+)?$|\.env$/.test(resourceName);
+}
+
+/** Shannon entropy in bits per character */
+function shannonEntropy(str) {
+  const counts = {};
+  for (const ch of str) counts[ch] = (counts[ch] || 0) + 1;
+  let entropy = 0;
+  for (const n of Object.values(counts)) {
+    const p = n / str.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Allowlist entries are literal values or env key names, or /regex/ lines.
+ * The returned object also carries the run's placeholder numbering.
+ */
+function loadRedactAllowlist(options) {
+  const entries = { literals: new Set(options.redactAllow || []), patterns: [], placeholders: new Map() };
+  if (fs.existsSync(redactAllowFile)) {
+    fs.readFileSync(redactAllowFile, 'utf8').split(/\r?\n/).forEach((line) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+      const m = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+      if (m) {
+        entries.patterns.push(new RegExp(m[1], m[2]));
+      } else {
+        entries.literals.add(trimmed);
+      }
+    });
+  }
+  return entries;
+}
+
+function isAllowed(value, name, allowlist) {
+  if (allowlist.literals.has(value) || (name && allowlist.literals.has(name))) return true;
+  return allowlist.patterns.some((re) => re.test(value) || (name && re.test(name)));
+}
+
+// a value that is already masked, e.g. in a diff redacted before rendering
+const redactedPlaceholder = /\[REDACTED:[\w-]+:\d+\]/;
+
+/**
+ * Numbered placeholder that stays the same for the same secret within a run.
+ * Deliberately not derived from the value, so short secrets cannot be guessed back.
+ */
+function secretPlaceholder(kind, value, allowlist) {
+  const key = `${kind}\0${value}`;
+  if (!allowlist.placeholders.has(key)) {
+    const n = [...allowlist.placeholders.keys()].filter((k) => k.startsWith(`${kind}\0`)).length + 1;
+    allowlist.placeholders.set(key, `[REDACTED:${kind}:${n}]`);
+  }
+  return allowlist.placeholders.get(key);
+}
+
+/**
+ * Replace credentials in text with stable placeholders. Returns the redacted
+ * text and where each secret was found (line numbers refer to the input).
+ */
+function redactSecrets(text, resourceName, allowlist = { literals: new Set(), patterns: [], placeholders: new Map() }) {
+  if (!text) return { text, found: [] };
+  const patterns = isEnvFile(parseResourceSpec(resourceName).path) ? [envValuePattern, ...secretPatterns] : secretPatterns;
+  const hits = [];
+  const overlaps = (start, end) => hits.some((h) => start < h.end && end > h.start);
+
+  for (const pattern of patterns) {
+    const regex = new RegExp(pattern.regex.source, `${pattern.regex.flags}d`);
+    for (const m of text.matchAll(regex)) {
+      const [start, end] = m.indices[pattern.group || 0];
+      const value = text.slice(start, end);
+      const name = pattern.nameGroup ? m[pattern.nameGroup] : undefined;
+      if (!value || overlaps(start, end) || redactedPlaceholder.test(value)) continue;
+      if (pattern.minEntropy && shannonEntropy(value) < pattern.minEntropy) continue;
+      if (pattern.kind === 'high-entropy' && !(/\d/.test(value) && /[A-Za-z]/.test(value))) continue;
+      if (isAllowed(value, name, allowlist)) continue;
+      hits.push({ start, end, kind: pattern.kind, name, placeholder: secretPlaceholder(pattern.kind, value, allowlist) });
+    }
+  }
+
+  hits.sort((a, b) => a.start - b.start);
+  let out = '';
+  let last = 0;
+  const found = [];
+  for (const h of hits) {
+    out += text.slice(last, h.start) + h.placeholder;
+    last = h.end;
+    found.push({
+      resourceName,
+      line: text.slice(0, h.start).split('\n').length,
+      kind: h.kind,
+      name: h.name,
+      placeholder: h.placeholder
+    });
+  }
+  out += text.slice(last);
+  return { text: out, found };
+}
+
+/**
+ * Mask secrets in a rendered entry: its header, content (outlined, sliced or
+ * compacted) and footer. Findings take their line numbers from sourceFound,
+ * the same secrets found in the file itself.
+ */
+function redactEntry(e, sourceFound, allowlist) {
+  const found = [];
+  for (const field of ['header', 'rawContent', 'footer']) {
+    const redacted = redactSecrets(e[field], e.resourceName, allowlist);
+    e[field] = redacted.text;
+    found.push(...redacted.found);
+  }
+  e.finalRaw = e.prefixContent + e.header + e.rawContent + e.footer;
+  const unused = [...sourceFound];
+  return found.map((f) => {
+    const i = unused.findIndex((u) => u.placeholder === f.placeholder);
+    return i < 0 ? { ...f, line: undefined } : unused.splice(i, 1)[0];
+  });
+}
+
+/** findings in a unified diff, with line numbers in the old file for "-" lines and the new file otherwise */
+function mapDiffFindings(found, diffText) {
+  const lineNumbers = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const line of diffText.split('\n')) {
+    const hunk = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)/);
+    if (hunk) {
+      oldLine = Number(hunk[1]);
+      newLine = Number(hunk[2]);
+      lineNumbers.push(undefined);
+    } else if (line.startsWith('-') && !line.startsWith('---')) {
+      lineNumbers.push(oldLine++);
+    } else if (line.startsWith('+') && !line.startsWith('+++')) {
+      lineNumbers.push(newLine++);
+    } else if (line.startsWith(' ')) {
+      oldLine++;
+      lineNumbers.push(newLine++);
+    } else {
+      lineNumbers.push(undefined);
+    }
+  }
+  return found.map((f) => ({ ...f, line: lineNumbers[f.line - 1] }));
+}
+
+function reportRedactions(redactions, options) {
+  if (!redactions || redactions.length === 0 || options.silent) return;
+  log(`\nRedacted ${redactions.length} secret(s) (use --no-redact to keep them, or allow them in ${redactAllowFile}):`);
+  redactions.forEach((r) => {
+    const name = r.name ? ` ${r.name}` : '';
+    const line = r.line ? `:${r.line}` : '';
+    log(` - ${r.resourceName}${line} ${r.kind}${name} -> ${r.placeholder}`);
+  });
+  log('');
+}
+
+// -----------------------------------------------------------------------------
+// Binary and encoding detection
+// -----------------------------------------------------------------------------
+
+const sniffBytes = 8192;
+
+// Leading bytes of common binary formats (offset defaults to 0)
+const magicNumbers = [
+  { name: 'PNG image', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { name: 'JPEG image', bytes: [0xff, 0xd8, 0xff] },
+  { name: 'GIF image', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { name: 'PDF document', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { name: 'ZIP archive', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { name: 'gzip archive', bytes: [0x1f, 0x8b] },
+  { name: 'bzip2 archive', bytes: [0x42, 0x5a, 0x68] },
+  { name: 'xz archive', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { name: '7z archive', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { name: 'RAR archive', bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { name: 'ELF executable', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { name: 'Mach-O binary', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { name: 'Mach-O binary', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { name: 'Java class file', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { name: 'WebAssembly module', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { name: 'SQLite database', bytes: [...Buffer.from('SQLite format 3\0')] },
+  { name: 'Ogg media', bytes: [...Buffer.from('OggS')] },
+  { name: 'MP3 audio', bytes: [...Buffer.from('ID3')] },
+  { name: 'MP4/QuickTime media', bytes: [...Buffer.from('ftyp')], offset: 4 },
+  { name: 'RIFF media', bytes: [...Buffer.from('RIFF')] }
+];
+
+const byteOrderMarks = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+function startsWithBytes(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buf[offset + i] === b);
+}
+
+function detectBom(buf) {
+  return byteOrderMarks.find((bom) => startsWithBytes(buf, bom.bytes)) || null;
+}
+
+/** UTF-16 without BOM: mostly ASCII with every other byte NUL */
+function guessUtf16(buf) {
+  const len = buf.length - (buf.length % 2);
+  if (len < 4) return null;
+  let evenNul = 0;
+  let oddNul = 0;
+  for (let i = 0; i < len; i += 2) {
+    if (buf[i] === 0) evenNul++;
+    if (buf[i + 1] === 0) oddNul++;
+  }
+  const pairs = len / 2;
+  if (oddNul / pairs > 0.7 && evenNul / pairs < 0.1) return 'utf-16le';
+  if (evenNul / pairs > 0.7 && oddNul / pairs < 0.1) return 'utf-16be';
+  return null;
+}
+
+/** signatures made only of printable ASCII, which a text file can start with too */
+function isPrintableMagic(magic) {
+  return magic.bytes.every((b) => b >= 0x20 && b < 0x7f);
+}
+
+/** reason a buffer looks binary, or null for text */
+function sniffBinary(buf) {
+  if (detectBom(buf)) return null;
+  const head = buf.subarray(0, sniffBytes);
+  let control = 0;
+  for (const b of head) {
+    // control characters other than tab, newlines, form feed and escape
+    if (b < 0x20 && ![0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1b].includes(b)) control++;
+  }
+  // "ID3 tags..." or "RIFF notes" in a text file is no MP3 or WAV, so printable
+  // signatures only count next to bytes no text file has
+  const magic = magicNumbers.find((m) => startsWithBytes(buf, m.bytes, m.offset));
+  if (magic && (control > 0 || !isPrintableMagic(magic))) return magic.name;
+  if (head.includes(0)) {
+    return guessUtf16(head) ? null : 'contains NUL bytes';
+  }
+  if (head.length > 0 && control / head.length > 0.1) return 'mostly control characters';
+  return null;
+}
+
+/** charset declared in the first lines (Python coding cookie, XML prolog, HTML meta) */
+function declaredCharset(buf) {
+  const head = buf.subarray(0, 1024).toString('latin1');
+  const m = head.match(/coding[:=]\s*([-\w.]+)/) ||
+    head.match(/<\?xml[^>]*encoding=["']([-\w.]+)["']/i) ||
+    head.match(/<meta[^>]*charset=["']?([-\w.]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+function decodeWith(encoding, buf) {
+  try {
+    return new TextDecoder(encoding, { fatal: true }).decode(buf);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a file buffer to a string: BOM first, then UTF-16 without BOM, strict
+ * UTF-8, a declared charset, and finally Windows-1252.
+ */
+function decodeText(buf) {
+  const bom = detectBom(buf);
+  if (bom) {
+    return { text: new TextDecoder(bom.encoding).decode(buf.subarray(bom.bytes.length)), encoding: bom.encoding };
+  }
+  // NUL bytes are valid UTF-8, so BOM-less UTF-16 has to be checked first
+  const utf16 = guessUtf16(buf.subarray(0, sniffBytes));
+  if (utf16) return { text: new TextDecoder(utf16).decode(buf), encoding: utf16 };
+  const utf8 = decodeWith('utf-8', buf);
+  if (utf8 !== null) return { text: utf8, encoding: 'utf-8' };
+  const declared = declaredCharset(buf);
+  if (declared) {
+    const text = decodeWith(declared, buf);
+    if (text !== null) return { text, encoding: declared };
+  }
+  return { text: new TextDecoder('windows-1252').decode(buf), encoding: 'windows-1252' };
+}
+
+function readFileHead(file, bytes) {
+  if (file === stdinResource || archiveMember(file)) return readResourceBytes(file).subarray(0, bytes);
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(bytes);
+    const read = fs.readSync(fd, buf, 0, bytes, 0);
+    return buf.subarray(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/** skip files whose content looks binary, whatever their extension */
+function applyBinaryFilter(filePaths) {
+  const finalResourcesFiltered = [];
+  const ignoredAsBinary = [];
+  for (const file of filePaths) {
+    if (file.startsWith('http') || findExtractor(parseResourceSpec(file).path)) {
+      finalResourcesFiltered.push(file);
+      continue;
+    }
+    let reason = null;
+    try {
+      reason = sniffBinary(readFileHead(parseResourceSpec(file).path, sniffBytes));
+    } catch {}
+    if (reason) {
+      ignoredAsBinary.push({ filePath: file, reason });
+    } else {
+      finalResourcesFiltered.push(file);
+    }
+  }
+  return { finalResourcesFiltered, ignoredAsBinary };
+}
+
+function reportBinarySkipped(ignoredAsBinary, options) {
+  if (ignoredAsBinary.length > 0 && !options.silent) {
+    log(`\nSkipped ${ignoredAsBinary.length} binary file(s):`);
+    ignoredAsBinary.forEach((info) => {
+      log(` - ${info.filePath} (${info.reason})`);
+    });
+    log('');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Document extractors (notebooks, PDF, Office and OpenDocument files)
+// -----------------------------------------------------------------------------
+
+// Output lines kept per notebook cell with --notebook-outputs
+const notebookOutputLines = 20;
+
+// Chosen by file extension; a later registration for the same extension wins
+const extractors = [];
+
+/**
+ * Add an extractor: { name, extensions: ['.ext'], extract(buffer, file, options) }
+ * returning the text to include. Files it handles are no longer ignored or
+ * sniffed as binary.
+ */
+function registerExtractor(extractor) {
+  extractors.unshift(extractor);
+}
+
+function findExtractor(file) {
+  const ext = path.extname(file).toLowerCase();
+  return extractors.find((x) => x.extensions.includes(ext)) || null;
+}
+
+/** a file's text: through its extractor if one handles the type, decoded otherwise */
+function readResourceText(file, options = {}) {
+  const buf = readStagedBytes(file, options) || readResourceBytes(file);
+  const extractor = findExtractor(file);
+  return extractor ? extractor.extract(buf, file, options) : decodeText(buf).text;
+}
+
+/** trim lines, drop runs of blank lines, end with a newline */
+function tidyExtracted(text) {
+  const out = text.split('\n').map((l) => l.replace(/[ \t]+$/, '')).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  return out ? `${out}\n` : '';
+}
+
+function csvField(value) {
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/** rows of cells as CSV, without the trailing empty cells spreadsheets pad rows with */
+function csvRows(rows) {
+  return rows.map((cells) => {
+    const trimmed = [...cells];
+    while (trimmed.length && !trimmed[trimmed.length - 1]) trimmed.pop();
+    return trimmed.map(csvField).join(',');
+  }).join('\n').replace(/\n+$/, '');
+}
+
+function parseXml(buf) {
+  return new DOMParser({ errorHandler: {} }).parseFromString(buf.toString('utf8'), 'text/xml');
+}
+
+function xmlElements(node, tag) {
+  return Array.from(node.getElementsByTagName(tag));
+}
+
+function childElements(node, tag) {
+  return Array.from(node.childNodes).filter((c) => c.nodeType === 1 && (!tag || c.nodeName === tag));
+}
+
+// --- ZIP ---------------------------------------------------------------------
+
+/** members of a ZIP file, read from its central directory: { name, method, mtime, size, compressedSize, offset } */
+function readZipDirectory(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('not a ZIP file (no central directory)');
+  const count = buf.readUInt16LE(eocd + 10);
+  let ptr = buf.readUInt32LE(eocd + 16);
+  if (count === 0xffff || ptr === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+  const members = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(ptr) !== 0x02014b50) throw new Error('corrupt ZIP central directory');
+    const flags = buf.readUInt16LE(ptr + 8);
+    const nameLength = buf.readUInt16LE(ptr + 28);
+    const rawName = buf.subarray(ptr + 46, ptr + 46 + nameLength);
+    const time = buf.readUInt16LE(ptr + 12);
+    const date = buf.readUInt16LE(ptr + 14);
+    members.push({
+      name: rawName.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      method: buf.readUInt16LE(ptr + 10),
+      mtime: new Date((date >> 9) + 1980, ((date >> 5) & 15) - 1, date & 31, time >> 11, (time >> 5) & 63, (time & 31) * 2),
+      compressedSize: buf.readUInt32LE(ptr + 20),
+      size: buf.readUInt32LE(ptr + 24),
+      offset: buf.readUInt32LE(ptr + 42),
+      encrypted: Boolean(flags & 1)
+    });
+    ptr += 46 + nameLength + buf.readUInt16LE(ptr + 30) + buf.readUInt16LE(ptr + 32);
+  }
+  return members;
+}
+
+// Office files are zipped XML that inflates to many times the file's size, so
+// members may grow this much past the size limit. Nothing compressed inflates
+// past maxInflateBytes, and bigger archives are skipped, as all of it is held
+// in memory.
+const inflateRatio = 20;
+const maxInflateBytes = 256 * 1024 * 1024;
+
+/** how many bytes a compressed member may inflate to under the size limit */
+function inflateLimit(options = {}) {
+  const bytes = parseSizeLimit(options.limit).bytes;
+  return bytes === undefined ? maxInflateBytes : Math.min(Math.max(bytes, 1) * inflateRatio, maxInflateBytes);
+}
+
+/** error for content that inflates past its limit; its file is skipped as too large */
+function inflateTooLarge(name, maxBytes) {
+  const err = new Error(`${name} inflates to over ${(maxBytes / (1024 * 1024)).toFixed(2)} MB`);
+  err.tooLarge = true;
+  err.size = maxBytes;
+  return err;
+}
+
+/** the uncompressed bytes of one ZIP member (stored or deflated), at most maxBytes of them */
+function readZipMember(buf, member, maxBytes = maxInflateBytes) {
+  if (member.encrypted) throw new Error(`${member.name} is encrypted`);
+  if (member.size > maxBytes) throw inflateTooLarge(member.name, maxBytes);
+  const start = member.offset + 30 + buf.readUInt16LE(member.offset + 26) + buf.readUInt16LE(member.offset + 28);
+  const data = buf.subarray(start, start + member.compressedSize);
+  let out;
+  if (member.method === 0) {
+    out = Buffer.from(data);
+  } else if (member.method === 8) {
+    // the declared size is not to be trusted, so inflation itself is capped
+    try {
+      out = zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw inflateTooLarge(member.name, maxBytes);
+      throw err;
+    }
+  } else {
+    throw new Error(`${member.name} uses unsupported compression method ${member.method}`);
+  }
+  // size limits were checked against the declared size, which has to hold
+  if (out.length > member.size) throw new Error(`${member.name} is larger than its declared size`);
+  return out;
+}
+
+/** a ZIP file with members looked up by name, each inflating to at most maxBytes */
+function openZip(buf, maxBytes) {
+  const members = readZipDirectory(buf);
+  const byName = new Map(members.map((m) => [m.name, m]));
+  return {
+    names: members.map((m) => m.name),
+    has: (name) => byName.has(name),
+    read: (name) => {
+      if (!byName.has(name)) throw new Error(`missing ${name}`);
+      return readZipMember(buf, byName.get(name), maxBytes);
+    }
+  };
+}
+
+// --- Jupyter notebooks -------------------------------------------------------
+
+/** code and markdown cells in order, code fenced as "In [n]:"; text outputs with --notebook-outputs */
+function extractNotebook(buf, file, options = {}) {
+  const nb = JSON.parse(decodeText(buf).text);
+  const language = nb.metadata?.kernelspec?.language || nb.metadata?.language_info?.name || '';
+  // nbformat 3 keeps its cells in worksheets and code in "input"
+  const cells = nb.cells || (nb.worksheets || []).flatMap((w) => w.cells || []);
+  const joined = (s) => (Array.isArray(s) ? s.join('') : s || '');
+  const parts = cells.map((cell) => {
+    const source = joined(cell.source ?? cell.input).replace(/\n+$/, '');
+    if (cell.cell_type !== 'code') return source;
+    const count = cell.execution_count ?? cell.prompt_number ?? ' ';
+    const fence = fenceFor(source);
+    let out = `In [${count}]:\n${fence}${language}\n${source}\n${fence}`;
+    const output = options.notebookOutputs ? notebookOutputText(cell.outputs || []) : '';
+    if (output) {
+      const outFence = fenceFor(output);
+      out += `\n\nOut [${count}]:\n${outFence}text\n${output}\n${outFence}`;
+    }
+    return out;
+  });
+  return tidyExtracted(parts.filter((p) => p.trim()).join('\n\n'));
+}
+
+/** text of a cell's outputs, rich outputs named only, cut to notebookOutputLines */
+function notebookOutputText(outputs) {
+  const joined = (s) => (Array.isArray(s) ? s.join('') : s || '');
+  const texts = outputs.map((o) => {
+    if (o.output_type === 'stream') return joined(o.text);
+    if (o.output_type === 'error' || o.output_type === 'pyerr') {
+      return `${o.ename}: ${o.evalue}`.replace(/\x1b\[[0-9;]*m/g, '');
+    }
+    const data = o.data || o;
+    if (data['text/plain']) return joined(data['text/plain']);
+    const kinds = Object.keys(data).filter((k) => k.includes('/'));
+    return kinds.length ? `[${kinds.join(', ')} output omitted]` : '';
+  });
+  const lines = texts.map((t) => t.replace(/\n+$/, '')).filter(Boolean).join('\n').split('\n');
+  if (lines.length <= notebookOutputLines) return lines.join('\n');
+  return `${lines.slice(0, notebookOutputLines).join('\n')}\n... (${lines.length - notebookOutputLines} more lines)`;
+}
+
+// --- Office Open XML (docx, pptx, xlsx) --------------------------------------
+
+/** text of a WordprocessingML or DrawingML run tree; tabs and breaks kept, deletions dropped */
+function officeText(node) {
+  let out = '';
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) continue;
+    if (child.nodeType !== 1) continue;
+    switch (child.nodeName) {
+      case 'w:t':
+      case 'a:t':
+        out += child.textContent;
+        break;
+      case 'w:tab':
+        out += '\t';
+        break;
+      case 'w:br':
+      case 'w:cr':
+      case 'a:br':
+        out += '\n';
+        break;
+      case 'w:delText':
+      case 'w:instrText':
+        break;
+      default:
+        out += officeText(child);
+    }
+  }
+  return out;
+}
+
+function extractDocx(buf, file, options) {
+  const doc = parseXml(openZip(buf, inflateLimit(options)).read('word/document.xml'));
+  const blocks = [];
+  const walk = (node) => {
+    for (const child of childElements(node)) {
+      if (child.nodeName === 'w:p') {
+        blocks.push(officeText(child));
+      } else if (child.nodeName === 'w:tbl') {
+        blocks.push(childElements(child, 'w:tr')
+          .map((tr) => childElements(tr, 'w:tc').map((tc) => childElements(tc, 'w:p').map(officeText).join(' ').trim()).join(' | '))
+          .join('\n'));
+      } else {
+        walk(child);
+      }
+    }
+  };
+  walk(doc.getElementsByTagName('w:body')[0] || doc);
+  return tidyExtracted(blocks.join('\n'));
+}
+
+function extractPptx(buf, file, options) {
+  const zip = openZip(buf, inflateLimit(options));
+  const slides = zip.names
+    .map((name) => ({ name, n: Number(name.match(/^ppt\/slides\/slide(\d+)\.xml$/)?.[1]) }))
+    .filter((s) => s.n)
+    .sort((a, b) => a.n - b.n);
+  return tidyExtracted(slides.map(({ name, n }) => {
+    const paragraphs = xmlElements(parseXml(zip.read(name)), 'a:p').map(officeText).filter((t) => t.trim());
+    return `--- Slide ${n} ---\n${paragraphs.join('\n')}`;
+  }).join('\n\n'));
+}
+
+/** column index of a cell reference such as "C7" (A = 0) */
+function columnIndex(ref) {
+  const letters = (ref || '').match(/^[A-Z]+/)?.[0] || '';
+  return [...letters].reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1;
+}
+
+function extractXlsx(buf, file, options) {
+  const zip = openZip(buf, inflateLimit(options));
+  const shared = zip.has('xl/sharedStrings.xml')
+    ? xmlElements(parseXml(zip.read('xl/sharedStrings.xml')), 'si')
+      .map((si) => xmlElements(si, 't').filter((t) => t.parentNode.nodeName !== 'rPh').map((t) => t.textContent).join(''))
+    : [];
+  const targets = new Map(xmlElements(parseXml(zip.read('xl/_rels/workbook.xml.rels')), 'Relationship')
+    .map((r) => [r.getAttribute('Id'), r.getAttribute('Target').replace(/^\/?(?:xl\/)?/, 'xl/')]));
+  const sheets = xmlElements(parseXml(zip.read('xl/workbook.xml')), 'sheet')
+    .map((s) => ({ name: s.getAttribute('name'), file: targets.get(s.getAttribute('r:id')) }))
+    .filter((s) => s.file && zip.has(s.file));
+  return tidyExtracted(sheets.map(({ name, file }) => {
+    const rows = xmlElements(parseXml(zip.read(file)), 'row').map((row) => {
+      const cells = [];
+      childElements(row, 'c').forEach((c, i) => {
+        const col = c.getAttribute('r') ? columnIndex(c.getAttribute('r')) : i;
+        const value = xmlElements(c, 'v')[0]?.textContent ?? '';
+        const type = c.getAttribute('t');
+        let text = value;
+        if (type === 's') text = shared[Number(value)] ?? '';
+        else if (type === 'inlineStr') text = xmlElements(c, 't').map((t) => t.textContent).join('');
+        else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+        while (cells.length < col) cells.push('');
+        cells[col] = text;
+      });
+      return cells;
+    });
+    return `--- Sheet: ${name} ---\n${csvRows(rows)}`;
+  }).join('\n\n'));
+}
+
+// --- OpenDocument (odt, ods, odp) --------------------------------------------
+
+/** text of an OpenDocument paragraph, expanding <text:s>, tabs and line breaks */
+function odfText(node) {
+  let out = '';
+  for (const child of Array.from(node.childNodes)) {
+    if (child.nodeType === 3) {
+      out += child.nodeValue;
+    } else if (child.nodeType === 1) {
+      if (child.nodeName === 'text:s') out += ' '.repeat(Number(child.getAttribute('text:c')) || 1);
+      else if (child.nodeName === 'text:tab') out += '\t';
+      else if (child.nodeName === 'text:line-break') out += '\n';
+      else if (child.nodeName !== 'office:annotation') out += odfText(child);
+    }
+  }
+  return out;
+}
+
+/** rows of an OpenDocument table, with repeated cells expanded (trailing padding dropped) */
+function odfTableRows(table) {
+  const rows = [];
+  for (const row of xmlElements(table, 'table:table-row')) {
+    const cells = [];
+    for (const cell of childElements(row).filter((c) => /^table:(?:covered-)?table-cell$/.test(c.nodeName))) {
+      const text = childElements(cell, 'text:p').map(odfText).join('\n');
+      // blank cells repeat to the sheet edge; only expand ones that hold something
+      const repeat = text ? Math.min(Number(cell.getAttribute('table:number-columns-repeated')) || 1, 1000) : 1;
+      for (let i = 0; i < repeat; i++) cells.push(text);
+    }
+    rows.push(cells);
+  }
+  while (rows.length && rows[rows.length - 1].every((c) => !c)) rows.pop();
+  return rows;
+}
+
+function extractOpenDocument(buf, file, options) {
+  const doc = parseXml(openZip(buf, inflateLimit(options)).read('content.xml'));
+  const spreadsheet = doc.getElementsByTagName('office:spreadsheet')[0];
+  if (spreadsheet) {
+    return tidyExtracted(xmlElements(spreadsheet, 'table:table')
+      .map((t) => `--- Sheet: ${t.getAttribute('table:name')} ---\n${csvRows(odfTableRows(t))}`)
+      .join('\n\n'));
+  }
+  const presentation = doc.getElementsByTagName('office:presentation')[0];
+  if (presentation) {
+    return tidyExtracted(xmlElements(presentation, 'draw:page').map((page, i) => {
+      const lines = xmlElements(page, 'text:p').map(odfText).filter((t) => t.trim());
+      return `--- Slide ${i + 1} ---\n${lines.join('\n')}`;
+    }).join('\n\n'));
+  }
+  const blocks = [];
+  const walk = (node) => {
+    for (const child of childElements(node)) {
+      if (child.nodeName === 'text:p' || child.nodeName === 'text:h') blocks.push(odfText(child));
+      else if (child.nodeName === 'table:table') blocks.push(odfTableRows(child).map((r) => r.join(' | ')).join('\n'));
+      else walk(child);
+    }
+  };
+  walk(doc.getElementsByTagName('office:text')[0] || doc);
+  return tidyExtracted(blocks.join('\n'));
+}
+
+// --- PDF ---------------------------------------------------------------------
+
+/**
+ * Text of a PDF, page by page. Handles uncompressed and Flate streams, object
+ * streams and ToUnicode font maps; scanned pages and other filters give no text.
+ */
+function extractPdf(buf, file, options) {
+  const src = buf.toString('latin1');
+  if (!src.startsWith('%PDF-')) throw new Error('not a PDF file');
+  if (/\/Encrypt\s/.test(src)) throw new Error('encrypted PDFs are not supported');
+  const objects = readPdfObjects(buf, src, inflateLimit(options));
+  const resolve = (value) => {
+    const ref = value?.match(/^(\d+)\s+\d+\s+R$/);
+    return ref ? objects.get(Number(ref[1])) || null : null;
+  };
+  const dictOf = (value) => (value?.startsWith('<<') ? value : resolve(value)?.dict || '');
+  const cmaps = new Map();
+  const fontsOf = (resources) => {
+    const fonts = new Map();
+    const fontDict = dictOf(pdfDictValue(dictOf(resources), 'Font'));
+    for (const m of fontDict.matchAll(/\/([^\s/<>[\]()]+)\s+(\d+\s+\d+\s+R)/g)) {
+      const cmapObj = resolve(pdfDictValue(resolve(m[2])?.dict || '', 'ToUnicode'));
+      if (cmapObj?.stream) {
+        if (!cmaps.has(cmapObj)) cmaps.set(cmapObj, parsePdfCMap(cmapObj.stream.toString('latin1')));
+        fonts.set(m[1], cmaps.get(cmapObj));
+      } else {
+        fonts.set(m[1], null);
+      }
+    }
+    return fonts;
+  };
+
+  // pages in reading order from the page tree, inheriting /Resources
+  const pages = [];
+  const seen = new Set();
+  const walk = (obj, inherited) => {
+    if (!obj || seen.has(obj)) return;
+    seen.add(obj);
+    const resources = pdfDictValue(obj.dict, 'Resources') || inherited;
+    if (/\/Type\s*\/Pages\b/.test(obj.dict)) {
+      const kids = pdfDictValue(obj.dict, 'Kids') || '';
+      for (const ref of kids.matchAll(/(\d+\s+\d+\s+R)/g)) walk(resolve(ref[1]), resources);
+    } else if (/\/Type\s*\/Page\b/.test(obj.dict)) {
+      pages.push({ obj, resources });
+    }
+  };
+  const catalog = [...objects.values()].find((o) => /\/Type\s*\/Catalog\b/.test(o.dict));
+  walk(resolve(pdfDictValue(catalog?.dict || '', 'Pages')), '');
+  if (!pages.length) {
+    for (const obj of objects.values()) {
+      if (/\/Type\s*\/Page\b/.test(obj.dict)) pages.push({ obj, resources: pdfDictValue(obj.dict, 'Resources') });
+    }
+  }
+
+  const texts = pages.map(({ obj, resources }, i) => {
+    const contents = pdfDictValue(obj.dict, 'Contents') || '';
+    const streams = [...contents.matchAll(/(\d+\s+\d+\s+R)/g)]
+      .map((ref) => resolve(ref[1])?.stream)
+      .filter(Boolean);
+    const text = pdfContentText(Buffer.concat(streams).toString('latin1'), fontsOf(resources));
+    return `--- Page ${i + 1} ---\n${text}`;
+  });
+  return tidyExtracted(texts.join('\n\n'));
+}
+
+/**
+ * objects by number as { dict, stream }, streams decoded (to at most maxBytes
+ * each) when possible, object streams unpacked
+ */
+function readPdfObjects(buf, src, maxBytes) {
+  const objects = new Map();
+  const header = /(\d+)\s+\d+\s+obj\b/g;
+  let m;
+  while ((m = header.exec(src))) {
+    const start = m.index + m[0].length;
+    const marker = /\bstream\r?\n|\bendobj\b/g;
+    marker.lastIndex = start;
+    const next = marker.exec(src);
+    if (!next) break;
+    const dict = src.slice(start, next.index).trim();
+    let stream = null;
+    let end = next.index + next[0].length;
+    if (next[0].startsWith('stream')) {
+      const dataStart = end;
+      const length = dict.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+      let dataEnd = length ? dataStart + Number(length[1]) : -1;
+      if (dataEnd < 0 || !/^\s*endstream/.test(src.slice(dataEnd, dataEnd + 20))) {
+        dataEnd = src.indexOf('endstream', dataStart);
+      }
+      if (dataEnd < 0) break;
+      stream = decodePdfStream(dict, buf.subarray(dataStart, dataEnd), maxBytes);
+      end = dataEnd;
+    }
+    objects.set(Number(m[1]), { dict, stream });
+    header.lastIndex = end;
+  }
+  for (const obj of [...objects.values()]) {
+    if (!obj.stream || !/\/Type\s*\/ObjStm\b/.test(obj.dict)) continue;
+    const count = Number(obj.dict.match(/\/N\s+(\d+)/)?.[1] || 0);
+    const first = Number(obj.dict.match(/\/First\s+(\d+)/)?.[1] || 0);
+    const text = obj.stream.toString('latin1');
+    const index = text.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i < count; i++) {
+      const from = first + index[2 * i + 1];
+      const to = i + 1 < count ? first + index[2 * i + 3] : text.length;
+      if (!objects.has(index[2 * i])) objects.set(index[2 * i], { dict: text.slice(from, to).trim(), stream: null });
+    }
+  }
+  return objects;
+}
+
+/**
+ * stream bytes with FlateDecode undone, at most maxBytes of them; null for
+ * filters we cannot read (images and the like)
+ */
+function decodePdfStream(dict, data, maxBytes = maxInflateBytes) {
+  const filters = [...(pdfDictValue(dict, 'Filter') || '').matchAll(/\/(\w+)/g)].map((f) => f[1]);
+  if (!filters.length) return Buffer.from(data);
+  if (filters.length > 1 || !['FlateDecode', 'Fl'].includes(filters[0])) return null;
+  const inflate = (extra) => {
+    try {
+      return zlib.inflateSync(data, { maxOutputLength: maxBytes, ...extra });
+    } catch (err) {
+      if (err.code === 'ERR_BUFFER_TOO_LARGE') throw inflateTooLarge('a PDF stream', maxBytes);
+      return null;
+    }
+  };
+  // tolerate a missing end-of-stream marker
+  return inflate() || inflate({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+}
+
+/** raw value of /Key in a PDF dictionary: a nested << >>, an [ array ], a reference or a token */
+function pdfDictValue(dict, key) {
+  const m = new RegExp(`/${key}(?![\\w.-])\\s*`).exec(dict);
+  if (!m) return undefined;
+  let i = m.index + m[0].length;
+  const open = dict.startsWith('<<', i) ? '<<' : dict[i] === '[' ? '[' : null;
+  if (open) {
+    const close = open === '<<' ? '>>' : ']';
+    let depth = 0;
+    for (let j = i; j < dict.length; j++) {
+      if (dict.startsWith(open, j)) {
+        depth++;
+        j += open.length - 1;
+      } else if (dict.startsWith(close, j)) {
+        depth--;
+        j += close.length - 1;
+        if (depth === 0) return dict.slice(i, j + 1);
+      }
+    }
+    return dict.slice(i);
   }
-  const regex = /^(\d+(?:\.\d+)?)(kb|mb)?$/i;
-  const match = limitArg.match(regex);
-  if (!match) {
-    console.error(`Invalid size limit "${limitArg}", defaulting to 1MB`);
-    return { bytes: 1024 * 1024 };
+  const ref = dict.slice(i).match(/^\d+\s+\d+\s+R\b/);
+  if (ref) return ref[0];
+  return dict.slice(i).match(/^\/?[^\s/<>[\]()]*/)[0];
+}
+
+/** ToUnicode CMap: character codes (of codeBytes bytes) to text */
+function parsePdfCMap(text) {
+  const map = new Map();
+  const utf16 = (hex) => new TextDecoder('utf-16be').decode(Buffer.from(hex.length % 4 ? hex.padStart(hex.length + 2, '0') : hex, 'hex'));
+  const space = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeBytes = space ? space[1].length / 2 : 1;
+  for (const block of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) map.set(parseInt(m[1], 16), utf16(m[2]));
   }
-  const val = parseFloat(match[1]);
-  const unit = match[2] ? match[2].toLowerCase() : 'mb';
-  if (unit === 'kb') {
-    return { bytes: Math.round(val * 1024) };
+  for (const block of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    for (const m of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g)) {
+      const lo = parseInt(m[1], 16);
+      const hi = Math.min(parseInt(m[2], 16), lo + 0xffff);
+      if (m[3] !== undefined) {
+        const base = Buffer.from(m[3].length % 4 ? m[3].padStart(m[3].length + 2, '0') : m[3], 'hex');
+        for (let code = lo; code <= hi; code++) {
+          const units = Buffer.from(base);
+          units.writeUInt16BE((units.readUInt16BE(units.length - 2) + code - lo) & 0xffff, units.length - 2);
+          map.set(code, new TextDecoder('utf-16be').decode(units));
+        }
+      } else {
+        [...m[4].matchAll(/<([0-9a-fA-F]*)>/g)].forEach((d, i) => map.set(lo + i, utf16(d[1])));
+      }
+    }
   }
-  // default mb
-  return { bytes: Math.round(val * 1024 * 1024) };
+  return { map, codeBytes };
 }
 
-/** skip big files if limit is set */
-function applySizeLimit(filePaths, sizeLimitBytes) {
-  if (sizeLimitBytes === undefined) {
-    return { finalResourcesFiltered: filePaths, ignoredDueToSize: [] };
+/** text shown by a content stream's BT/ET operators, with line breaks where the text moves down */
+function pdfContentText(content, fonts) {
+  let out = '';
+  let font = null;
+  let lastY = null;
+  const operands = [];
+  const show = (bytes) => {
+    if (!font) {
+      out += bytes;
+      return;
+    }
+    for (let i = 0; i + font.codeBytes <= bytes.length; i += font.codeBytes) {
+      let code = 0;
+      for (let b = 0; b < font.codeBytes; b++) code = code * 256 + bytes.charCodeAt(i + b);
+      out += font.map.get(code) ?? '';
+    }
+  };
+  const newline = () => {
+    if (out && !out.endsWith('\n')) out += '\n';
+  };
+  let i = 0;
+  const len = content.length;
+  while (i < len) {
+    const ch = content[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '%') {
+      while (i < len && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (ch === '(') {
+      let depth = 1;
+      let s = '';
+      i++;
+      while (i < len && depth) {
+        const c = content[i];
+        if (c === '\\') {
+          const n = content[i + 1];
+          const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+          if (escapes[n]) {
+            s += escapes[n];
+            i += 2;
+          } else if (/[0-7]/.test(n)) {
+            const oct = content.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+            s += String.fromCharCode(parseInt(oct, 8) & 0xff);
+            i += 1 + oct.length;
+          } else if (n === '\r' || n === '\n') {
+            i += content.startsWith('\r\n', i + 1) ? 3 : 2;
+          } else {
+            s += n ?? '';
+            i += 2;
+          }
+          continue;
+        }
+        if (c === '(') depth++;
+        if (c === ')') depth--;
+        if (depth) s += c;
+        i++;
+      }
+      operands.push({ string: s });
+    } else if (ch === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      const hex = content.slice(i + 1, end < 0 ? len : end).replace(/\s+/g, '');
+      operands.push({ string: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') });
+      i = end < 0 ? len : end + 1;
+    } else if (ch === '[') {
+      operands.push('[');
+      i++;
+    } else if (ch === ']') {
+      const start = operands.lastIndexOf('[');
+      const items = operands.splice(start);
+      operands.push({ array: items.slice(1) });
+      i++;
+    } else if (ch === '<' || ch === '>') {
+      // inline dictionaries (marked content properties) carry no text
+      i += 2;
+    } else {
+      const token = content.slice(i).match(/^[^\s()<>[\]{}/%]+|^\/[^\s()<>[\]{}/%]*|^./)[0];
+      i += token.length;
+      if (token.startsWith('/') || /^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(token)) {
+        operands.push(token);
+        continue;
+      }
+      switch (token) {
+        case 'Tf':
+          font = fonts.get(String(operands[operands.length - 2]).slice(1)) || null;
+          break;
+        case 'Tj':
+          show(operands[operands.length - 1]?.string || '');
+          break;
+        case "'":
+        case '"':
+          newline();
+          show(operands[operands.length - 1]?.string || '');
+          break;
+        case 'TJ':
+          for (const item of operands[operands.length - 1]?.array || []) {
+            if (item.string !== undefined) show(item.string);
+            else if (Number(item) < -200 && !out.endsWith(' ')) out += ' ';
+          }
+          break;
+        case 'Td':
+        case 'TD':
+          if (Number(operands[operands.length - 1]) !== 0) newline();
+          else if (!out.endsWith(' ') && !out.endsWith('\n')) out += ' ';
+          break;
+        case 'T*':
+          newline();
+          break;
+        case 'Tm': {
+          const y = Number(operands[operands.length - 1]);
+          if (lastY !== null && y !== lastY) newline();
+          lastY = y;
+          break;
+        }
+        case 'ET':
+          if (!out.endsWith('\n') && !out.endsWith(' ')) out += ' ';
+          break;
+        case 'BI': {
+          // inline image data is binary; skip to its EI
+          const end = content.indexOf('EI', content.indexOf('ID', i));
+          i = end < 0 ? len : end + 2;
+          break;
+        }
+        default:
+          break;
+      }
+      operands.length = 0;
+    }
   }
-  const finalResourcesFiltered = [];
-  const ignoredDueToSize = [];
+  return out.split('\n').map((l) => l.replace(/\s+/g, ' ').trim()).join('\n');
+}
 
-  for (const file of filePaths) {
-    if (file.startsWith('http')) {
-      finalResourcesFiltered.push(file);
-      continue;
+registerExtractor({ name: 'notebook', extensions: ['.ipynb'], extract: extractNotebook });
+registerExtractor({ name: 'pdf', extensions: ['.pdf'], extract: extractPdf });
+registerExtractor({ name: 'word', extensions: ['.docx', '.docm'], extract: extractDocx });
+registerExtractor({ name: 'powerpoint', extensions: ['.pptx', '.pptm'], extract: extractPptx });
+registerExtractor({ name: 'excel', extensions: ['.xlsx', '.xlsm'], extract: extractXlsx });
+registerExtractor({ name: 'opendocument', extensions: ['.odt', '.ods', '.odp'], extract: extractOpenDocument });
+
+// -----------------------------------------------------------------------------
+// Archives (bug.zip, project.tar.gz, bug.zip!/src/app.js)
+// -----------------------------------------------------------------------------
+
+const archivePattern = /\.(?:zip|tar|tgz|tar\.gz)$/i;
+
+// archive path -> { mtimeMs, size, members: Map(name -> { size, mtime, read() }) }
+const archiveCache = new Map();
+
+function isArchive(file) {
+  return archivePattern.test(file);
+}
+
+/** "bug.zip!/src/app.js" -> { archive: 'bug.zip', member: 'src/app.js' }; null for other paths */
+function archiveMember(file) {
+  const m = file.match(/^(.+?\.(?:zip|tar|tgz|tar\.gz))!\/(.*)$/i);
+  return m ? { archive: m[1], member: m[2] } : null;
+}
+
+/** the files in an archive, read once per archive version; nothing is written to disk */
+function readArchive(archive) {
+  const st = fs.statSync(archive);
+  const cached = archiveCache.get(archive);
+  if (cached && cached.mtimeMs === st.mtimeMs && cached.size === st.size) return cached.members;
+  if (st.size > maxInflateBytes) {
+    throw new Error(`${archive} is over ${maxInflateBytes / (1024 * 1024)} MB`);
+  }
+  const buf = fs.readFileSync(archive);
+  const members = new Map();
+  if (/\.zip$/i.test(archive)) {
+    for (const m of readZipDirectory(buf)) {
+      if (m.name.endsWith('/')) continue;
+      members.set(m.name, { size: m.size, mtime: m.mtime, read: () => readZipMember(buf, m) });
     }
-    try {
-      const st = fs.statSync(file);
-      if (st.size > sizeLimitBytes) {
-        ignoredDueToSize.push({
-          filePath: file,
-          sizeMB: st.size / (1024 * 1024)
-        });
-      } else {
-        finalResourcesFiltered.push(file);
+  } else {
+    let tar = buf;
+    if (buf[0] === 0x1f && buf[1] === 0x8b) {
+      try {
+        tar = zlib.gunzipSync(buf, { maxOutputLength: maxInflateBytes });
+      } catch (err) {
+        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`${archive} decompresses to over ${maxInflateBytes / (1024 * 1024)} MB`);
+        throw err;
       }
-    } catch {}
+    }
+    for (const m of readTarDirectory(tar)) {
+      members.set(m.name, { size: m.size, mtime: m.mtime, read: () => tar.subarray(m.offset, m.offset + m.size) });
+    }
+  }
+  archiveCache.set(archive, { mtimeMs: st.mtimeMs, size: st.size, members });
+  return members;
+}
+
+/** regular files in a tar stream: { name, size, mtime, offset }, with GNU and pax long names */
+function readTarDirectory(buf) {
+  const members = [];
+  const field = (block, start, length) => {
+    const raw = block.subarray(start, start + length);
+    const end = raw.indexOf(0);
+    return raw.subarray(0, end < 0 ? length : end).toString('utf8');
+  };
+  const number = (block, start, length) => {
+    // sizes over 8 GB use base-256 with the high bit set
+    if (block[start] & 0x80) return block.subarray(start + 1, start + length).reduce((n, b) => n * 256 + b, 0);
+    return parseInt(field(block, start, length).trim() || '0', 8);
+  };
+  let pos = 0;
+  let longName = null;
+  let paxPath = null;
+  while (pos + 512 <= buf.length) {
+    const header = buf.subarray(pos, pos + 512);
+    if (header.every((b) => b === 0)) break;
+    const size = number(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 48);
+    const data = pos + 512;
+    if (data + size > buf.length) throw new Error('truncated tar archive');
+    if (type === 'L') {
+      longName = buf.subarray(data, data + size).toString('utf8').replace(/\0+$/, '');
+    } else if (type === 'x') {
+      paxPath = buf.subarray(data, data + size).toString('utf8').match(/^\d+ path=(.*)$/m)?.[1] ?? null;
+    } else if (type !== 'g') {
+      const prefix = field(header, 257, 6).startsWith('ustar') ? field(header, 345, 155) : '';
+      const name = paxPath || longName || (prefix ? `${prefix}/` : '') + field(header, 0, 100);
+      if (type === '0' || type === '7') {
+        members.push({ name: name.replace(/^\.\//, ''), size, mtime: new Date(number(header, 136, 12) * 1000), offset: data });
+      }
+      longName = null;
+      paxPath = null;
+    }
+    pos = data + Math.ceil(size / 512) * 512;
+  }
+  return members;
+}
+
+/** bytes of a file on disk, inside an archive or piped to stdin */
+function readResourceBytes(file) {
+  if (file === stdinResource) return readStdin();
+  const inArchive = archiveMember(file);
+  if (!inArchive) return fs.readFileSync(file);
+  const entry = readArchive(inArchive.archive).get(inArchive.member);
+  if (!entry) throw new Error(`${inArchive.member} not found in ${inArchive.archive}`);
+  return entry.read();
+}
+
+/** { size, mtime } of a file on disk, inside an archive or piped to stdin */
+function resourceStat(file) {
+  if (file === stdinResource) return { size: readStdin().length, mtime: new Date() };
+  const inArchive = archiveMember(file);
+  if (!inArchive) return fs.statSync(file);
+  const entry = readArchive(inArchive.archive).get(inArchive.member);
+  if (!entry) throw new Error(`${inArchive.member} not found in ${inArchive.archive}`);
+  return { size: entry.size, mtime: entry.mtime };
+}
+
+function resourceExists(file) {
+  try {
+    resourceStat(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** the file to watch for a resource: the archive for its members */
+function resourceFile(file) {
+  return archiveMember(file)?.archive || file;
+}
+
+/**
+ * members of an archive as "archive!/member" paths, optionally only those
+ * matching a gitignore-style pattern such as "src/*.js" or a directory name
+ */
+function listArchiveMembers(archive, pattern = '') {
+  const names = [...readArchive(archive).keys()];
+  const inner = pattern.replace(/^\/+|\/+$/g, '');
+  let matches = names;
+  if (inner && /[*?[]/.test(inner)) {
+    const matcher = ignore().add(inner);
+    matches = names.filter((n) => matcher.ignores(n));
+  } else if (inner) {
+    matches = names.filter((n) => n === inner || n.startsWith(`${inner}/`));
+  }
+  return matches.sort().map((n) => `${archive}!/${n}`);
+}
+
+// -----------------------------------------------------------------------------
+// Pipelines (- for stdin, --files-from, --stdout)
+// -----------------------------------------------------------------------------
+
+// The resource name for content piped to stdin
+const stdinResource = '-';
+
+let stdinBytes = null;
+
+/** everything piped to stdin, read once */
+function readStdin() {
+  if (stdinBytes === null) stdinBytes = fs.readFileSync(0);
+  return stdinBytes;
+}
+
+/**
+ * paths listed one per line in --files-from (a file, or "-" for stdin) as
+ * patterns that match those paths literally
+ */
+function filesFromPatterns(options) {
+  if (!options.filesFrom) return [];
+  if (options.filesFrom === stdinResource && (options.file || []).includes(stdinResource)) {
+    throw new Error('"-" and --files-from - cannot both read stdin');
+  }
+  const text = options.filesFrom === stdinResource
+    ? decodeText(readStdin()).text
+    : fs.readFileSync(options.filesFrom, 'utf8');
+  return text.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => (line.startsWith('http') ? line : escapeGlob(line)));
+}
+
+const defaultConcurrency = 8;
+
+/** run fn over items with at most `limit` in flight; results keep the input order */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/** a one-line "Loading 3/20" counter on stderr, only for interactive non-silent runs */
+function createProgress(total, options) {
+  const active = !options.silent && process.stderr.isTTY && total > 1;
+  let count = 0;
+  return {
+    tick(name) {
+      count++;
+      if (active) process.stderr.write(`\r\x1b[KLoading ${count}/${total}: ${name}`.slice(0, process.stderr.columns || 80));
+    },
+    done() {
+      if (active) process.stderr.write('\r\x1b[K');
+    }
+  };
+}
+
+/** read one file, slice or URL; the slow, parallel part of processFilesAndUrls */
+async function loadResource(r, options) {
+  const deleted = findGitChange(r, options)?.status === 'deleted';
+  const spec = r.startsWith('http') ? { path: r, selector: '' } : parseResourceSpec(r);
+  let slice;
+  if (spec.selector && !deleted) {
+    try {
+      slice = readSlice(spec, options);
+    } catch (err) {
+      // the file changed since the selector was checked; its other lines stay out
+      return { r, spec, status: 'bad-selector', reason: err.message };
+    }
+  }
+  if (r.startsWith('http')) {
+    const fetched = await fetchURLCached(r, optionsFor(r, options));
+    return { r, spec, raw: fetched.content, fetchedAt: fetched.fetchedAt, contentType: fetched.contentType, page: fetched.page,
+      fetched, status: fetched.status, size: fetched.size, atLeast: fetched.atLeast };
+  }
+  try {
+    const raw = deleted ? '' : slice ? slice.text : await getRawResourceContent(r, options);
+    return { r, spec, slice, raw, fetchedAt: new Date() };
+  } catch (err) {
+    if (!err.tooLarge) throw err;
+    return { r, spec, status: 'too-large', size: err.size, atLeast: true };
   }
-  return { finalResourcesFiltered, ignoredDueToSize };
 }
 
 /** orchestrate final reading+formatting */
 async function processFilesAndUrls(options, prefixContent, resources) {
   const entries = [];
-  for (const r of resources) {
-    const raw = await getRawResourceContent(r);
-    const e = transformContent(raw, r, prefixContent, options);
+  const redactions = [];
+  const tinyInputs = new Map();
+  const allowlist = options.noRedact ? null : loadRedactAllowlist(options);
+  const concurrency = options.concurrency ?? defaultConcurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`--concurrency must be a positive whole number, got "${concurrency}"`);
+  }
+  const progress = createProgress(resources.length, options);
+  const loaded = await mapWithConcurrency(resources, concurrency, async (r) => {
+    const item = await loadResource(r, options);
+    progress.tick(r);
+    return item;
+  });
+  progress.done();
+
+  // URL bodies and compressed documents only reveal their size and type once
+  // read, so those checks happen here
+  const ignoredDueToSize = loaded
+    .filter((item) => item.status === 'too-large')
+    .map((item) => ({ filePath: item.r, sizeMB: item.size / (1024 * 1024), atLeast: item.atLeast }));
+  const ignoredAsBinary = loaded
+    .filter((item) => item.status === 'binary')
+    .map((item) => ({ filePath: item.r, reason: `${item.fetched.contentType} response` }));
+  const ignoredSelections = loaded
+    .filter((item) => item.status === 'bad-selector')
+    .map((item) => ({ filePath: item.r, selector: item.spec.selector, reason: item.reason }));
+  const notCached = loaded
+    .filter((item) => item.status === 'offline-miss')
+    .map((item) => ({ filePath: item.r }));
+
+  for (const item of loaded.filter((i) => !['too-large', 'binary', 'bad-selector', 'offline-miss'].includes(i.status))) {
+    const { r, spec, slice, fetchedAt } = item;
+    const raw = item.raw;
+    let diff = getDiffRef(options) && !r.startsWith('http') ? buildFileDiff(spec.path, options) : undefined;
+    // the patch is masked up front so its structured hunks are masked too
+    let diffFound = [];
+    if (allowlist && diff) {
+      const redacted = redactSecrets(diff.text, r, allowlist);
+      diffFound = mapDiffFindings(redacted.found, diff.text);
+      diff = { ...diff, text: redacted.text, hunks: parseUnifiedDiff(redacted.text) };
+    }
+    const e = transformContent(raw, r, prefixContent, optionsFor(r, options), diff, slice, item.page);
+    // masked as rendered, so headers, outlines and slices are covered; the
+    // source scan gives the report line numbers from before --tiny
+    if (allowlist) {
+      const offset = slice ? slice.start - 1 : 0;
+      const sourceFound = redactSecrets(raw, r, allowlist).found.map((f) => ({ ...f, line: f.line + offset }));
+      const found = [...diffFound, ...redactEntry(e, sourceFound, allowlist)];
+      redactions.push(...found.filter((f, i) => found.findIndex((g) => g.placeholder === f.placeholder && g.line === f.line) === i));
+    }
+    if (e.isURL) {
+      e.fetchedAt = fetchedAt;
+      e.contentType = item.contentType;
+    }
     entries.push(e);
+    if (optionsFor(r, options).tiny && !diff) {
+      tinyInputs.set(e, raw);
+    }
   }
+  const countTokens = await loadTokenizer(options.tokenizer);
+  const tinySavings = [...tinyInputs].map(([e, raw]) => ({
+    resourceName: e.resourceName,
+    tokensBefore: countTokens(raw),
+    tokensAfter: countTokens(e.rawContent)
+  }));
+  // entries are measured as the selected format renders them; the document
+  // frame, the prefix (where the format prints it once) and the tree count once
+  const rendered = (list) => countTokens(formatEntries(list, { ...options, silent: true }));
+  const frameTokens = rendered([]);
+  const measure = (e) => rendered([{ ...e, prefixContent: '' }]) - frameTokens;
+  const prefixTokens = entries.length ? rendered(entries.slice(0, 1)) - frameTokens - measure(entries[0]) : 0;
+  const treeTokens = options.tree ? countTokens(buildTreeOutput(resources, options).rawTree) : 0;
+  const budget = applyTokenBudget(entries, {
+    maxTokens: parseTokenCount(options.maxTokens),
+    strategy: options.budget,
+    reservedTokens: frameTokens + prefixTokens + treeTokens,
+    countTokens,
+    measure
+  });
+  const kept = budget.entries;
   if (options.stats) {
-    for (const e of entries) {
+    for (const e of kept) {
       if (!e.isURL) {
         try {
-          const st = fs.statSync(e.resourceName);
+          const st = resourceStat(parseResourceSpec(e.resourceName).path);
           e.size = st.size;
           e.mtime = st.mtime;
           e.lineCount = (e.rawContent.match(/\n/g) || []).length + 1;
@@ -749,45 +4047,136 @@ async function processFilesAndUrls(options, prefixContent, resources) {
       }
     }
   }
-  const fmt = (options.format || 'md').toLowerCase();
-  switch (fmt) {
+  const output = formatEntries(kept, options);
+  return { output, entries: kept, budget, redactions, tinySavings, ignoredDueToSize, ignoredAsBinary, ignoredSelections, notCached };
+}
+
+/** render entries in the selected --format */
+function formatEntries(entries, options) {
+  // with --stdout the output is printed once, at the end, instead of echoed per entry
+  const fmtOptions = options.stdout ? { ...options, silent: true } : options;
+  switch ((options.format || 'md').toLowerCase()) {
     case 'txt':
-      return formatTxt(entries, options);
+      return formatTxt(entries, fmtOptions);
     case 'json':
-      return formatJson(entries);
+      return formatJson(entries, fmtOptions);
     case 'html':
-      return formatHtml(entries, options);
+      return formatHtml(entries, fmtOptions);
+    case 'prose':
+      return formatProse(entries, fmtOptions);
+    case 'xml':
+      return formatXml(entries, fmtOptions);
     default:
-      return formatMarkdown(entries, options);
+      return formatMarkdown(entries, fmtOptions);
   }
 }
 
-async function getRawResourceContent(resource) {
+/** per-file token savings of --tiny */
+function reportTinySavings(savings, options) {
+  if (!savings || savings.length === 0 || options.silent) return;
+  const before = savings.reduce((sum, s) => sum + s.tokensBefore, 0);
+  const after = savings.reduce((sum, s) => sum + s.tokensAfter, 0);
+  const pct = (a, b) => (a ? Math.round(((a - b) / a) * 100) : 0);
+  log(`\nTiny mode (${options.tinyLevel || 'safe'}) saved ${before - after} tokens (${pct(before, after)}%):`);
+  savings.forEach((s) => {
+    log(` - ${s.resourceName}: ${s.tokensBefore} -> ${s.tokensAfter} tokens (-${pct(s.tokensBefore, s.tokensAfter)}%)`);
+  });
+  log('');
+}
+
+/** print what the token budget cut, next to the size limit report */
+function reportBudget(budget, options) {
+  if (options.silent) return;
+  const limitStr = budget.maxTokens !== undefined ? ` (budget ${budget.maxTokens})` : '';
+  log(`Estimated tokens: ${budget.totalTokens}${limitStr}`);
+  if (budget.cut.length > 0) {
+    log(`\nCut ${budget.cut.length} file(s) to fit the token budget:`);
+    budget.cut.forEach((c) => {
+      const tokens = c.action === 'dropped'
+        ? `${c.tokensBefore} tokens`
+        : `${c.tokensBefore} -> ${c.tokensAfter} tokens`;
+      log(` - ${c.resourceName}: ${c.action} (${c.reason}), ${tokens}`);
+    });
+    log('');
+  }
+}
+
+async function getRawResourceContent(resource, options = {}) {
   if (resource.startsWith('http')) {
-    return await fetchURL(resource);
+    return (await fetchURLCached(resource, optionsFor(resource, options))).content;
   }
   try {
-    return fs.readFileSync(resource, 'utf8');
-  } catch {
+    const spec = parseResourceSpec(resource);
+    if (spec.selector) {
+      return readSlice(spec, options).text;
+    }
+    return readResourceText(resource, options);
+  } catch (err) {
+    // reported with the other oversized files by processFilesAndUrls
+    if (err.tooLarge) throw err;
+    if (findExtractor(resource) && !options.silent) {
+      console.error(`Could not extract text from ${resource}: ${err.message}`);
+    } else if (archiveMember(resource) && !options.silent) {
+      console.error(`Could not read ${resource}: ${err.message}`);
+    }
     return '';
   }
 }
 
-function transformContent(raw, resourceName, prefixContent, options) {
+function transformContent(raw, resourceName, prefixContent, options, diff, slice, page) {
   const now = new Date();
   const dateStr = formatDate(now);
   const isURL = resourceName.startsWith('http');
+  const spec = isURL ? { path: resourceName, selector: '' } : parseResourceSpec(resourceName);
   let content = raw;
+  // an explicit line range or symbol is always included in full
+  const outlined = !diff && !spec.selector && wantsOutline(resourceName, options) ? outlineContent(raw, spec.path) : null;
+  if (outlined !== null) {
+    content = outlined;
+  }
+  // outlines no longer line up with the source, so they are not numbered
+  const firstLine = options.lineNumbers && !diff && outlined === null ? (slice ? slice.start : 1) : undefined;
   if (options.tiny) {
-    content = content.replace(/\s+/g, ' ').trim();
+    content = compactContent(content, isURL ? '' : spec.path, options.tinyLevel, firstLine);
+  } else if (firstLine !== undefined) {
+    content = addLineNumbers(content, firstLine);
+  }
+  const gitChange = findGitChange(resourceName, options);
+  let header = `\n\nThis is the ${isURL ? 'current' : 'my current'} ${resourceName} at ${dateStr}\n\n`;
+  if (pageLines(page).length) {
+    header = `\n\nThis is the current ${resourceName} at ${dateStr}\n${pageLines(page).join('\n')}\n\n`;
+  }
+  if (outlined !== null) {
+    header = `\n\nThis is the outline of my ${resourceName} (bodies elided) at ${dateStr}\n\n`;
+  } else if (slice) {
+    header = `\n\nThis is the my current ${spec.path} (${describeSlice(spec, slice)}) at ${dateStr}\n\n`;
+  }
+  if (diff) {
+    // patches keep their whitespace, --tiny only applies to the appended full file
+    const note = gitNote({ gitStatus: gitChange?.status, renamedFrom: gitChange?.from });
+    header = `\n\nThis is the diff of my ${resourceName}${note} against ${diff.ref} at ${dateStr}\n\n`;
+    const patch = diff.text || `(no changes against ${diff.ref})\n`;
+    content = options.diffFull && gitChange?.status !== 'deleted'
+      ? `${patch}\nFull file after the change:\n\n${content}`
+      : patch;
+  } else if (gitChange?.status === 'deleted') {
+    header = `\n\nThis is my ${resourceName}, deleted (${gitChange.label}) at ${dateStr}\n\n`;
+  } else if (gitChange?.from) {
+    header = `\n\nThis is the my current ${resourceName} (${gitChange.status} from ${gitChange.from}, ${gitChange.label}) at ${dateStr}\n\n`;
   }
-  const header = `\n\nThis is the ${isURL ? 'current' : 'my current'} ${resourceName} at ${dateStr}\n\n`;
   const footer = `\n\nThis is the end of ${resourceName}\n\n`;
 
   const finalRaw = prefixContent + header + content + footer;
   return {
     resourceName,
     isURL,
+    gitStatus: gitChange?.status,
+    renamedFrom: gitChange?.from,
+    outline: outlined !== null,
+    lines: slice ? { start: slice.start, end: slice.end } : undefined,
+    symbol: spec.symbol,
+    page: pageLines(page).length ? page : undefined,
+    diff: diff ? { ref: diff.ref, hunks: diff.hunks } : undefined,
     rawContent: content,
     prefixContent,
     header,
@@ -796,12 +4185,98 @@ function transformContent(raw, resourceName, prefixContent, options) {
   };
 }
 
-/** format markdown */
+// Fence languages by extension or file name; shebangs are checked as a fallback
+const fenceLanguages = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'jsx',
+  '.ts': 'typescript', '.mts': 'typescript', '.cts': 'typescript', '.tsx': 'tsx',
+  '.py': 'python', '.pyi': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java',
+  '.kt': 'kotlin', '.kts': 'kotlin', '.swift': 'swift', '.scala': 'scala', '.dart': 'dart',
+  '.c': 'c', '.h': 'c', '.cc': 'cpp', '.cpp': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.cs': 'csharp',
+  '.php': 'php', '.pl': 'perl', '.lua': 'lua', '.r': 'r', '.sql': 'sql',
+  '.sh': 'bash', '.bash': 'bash', '.zsh': 'zsh', '.fish': 'fish', '.ps1': 'powershell',
+  '.html': 'html', '.htm': 'html', '.xml': 'xml', '.svg': 'xml', '.vue': 'vue', '.svelte': 'svelte',
+  '.css': 'css', '.scss': 'scss', '.less': 'less',
+  '.json': 'json', '.jsonc': 'jsonc', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.ini': 'ini',
+  '.md': 'markdown', '.markdown': 'markdown', '.mdx': 'mdx', '.rst': 'rst',
+  '.graphql': 'graphql', '.gql': 'graphql', '.proto': 'protobuf', '.tf': 'hcl', '.hcl': 'hcl',
+  '.dockerfile': 'dockerfile', '.diff': 'diff', '.patch': 'diff', '.csv': 'csv', '.txt': 'text',
+  '.ipynb': 'markdown', '.xlsx': 'csv', '.xlsm': 'csv', '.ods': 'csv',
+  '.pdf': 'text', '.docx': 'text', '.docm': 'text', '.pptx': 'text', '.pptm': 'text', '.odt': 'text', '.odp': 'text',
+  dockerfile: 'dockerfile', makefile: 'makefile', gnumakefile: 'makefile', gemfile: 'ruby', rakefile: 'ruby'
+};
+
+const shebangLanguages = { python: 'python', python3: 'python', node: 'javascript', deno: 'typescript', bun: 'javascript', bash: 'bash', sh: 'bash', zsh: 'zsh', ruby: 'ruby', perl: 'perl' };
+
+/** code fence language for an entry, from extension, file name or shebang */
+function fenceLanguage(e) {
+  if (e.diff) return 'diff';
+  if (e.isURL) {
+    const type = (e.contentType || '').split(';')[0].trim();
+    if (/[/+]json$/.test(type)) return 'json';
+    if (/markdown$/.test(type)) return 'markdown';
+    if (/html/.test(type)) return e.rawContent.startsWith('<') ? 'html' : 'markdown';
+    // raw files (raw.githubusercontent.com and the like) by their extension
+    return fenceLanguages[path.extname(new URL(e.resourceName).pathname).toLowerCase()] || 'text';
+  }
+  const base = path.basename(parseResourceSpec(e.resourceName).path).toLowerCase();
+  const lang = fenceLanguages[path.extname(base)] || fenceLanguages[base];
+  if (lang) return lang;
+  const shebang = e.rawContent.replace(/^\s*1 \| /, '').match(/^#!(?:\S*\/)?([\w.]+)(?:[ \t]+([\w.]+))?/);
+  if (shebang) {
+    const interpreter = shebang[1] === 'env' ? shebang[2] : shebang[1];
+    return shebangLanguages[interpreter] || '';
+  }
+  return '';
+}
+
+/** a backtick fence longer than any backtick run inside the content */
+function fenceFor(content) {
+  const longest = Math.max(0, ...(content.match(/`+/g) || []).map((run) => run.length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/** GitHub-style heading anchor, unique within one document */
+function headingAnchor(text, used) {
+  const base = text.toLowerCase().trim().replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+  let anchor = base;
+  for (let n = 1; used.has(anchor); n++) anchor = `${base}-${n}`;
+  used.add(anchor);
+  return anchor;
+}
+
+/** format markdown: one heading and one fenced block per entry, optional table of contents */
 function formatMarkdown(entries, options) {
+  const headings = entries.map((e) => `${e.resourceName}${entryNote(e)}${e.diff ? ` (diff against ${e.diff.ref})` : ''}`);
+  let out = entries[0]?.prefixContent ? `${entries[0].prefixContent.trimEnd()}\n\n` : '';
+  if (options.toc) {
+    const used = new Set();
+    out += '## Contents\n\n';
+    out += headings.map((h) => `- [${h.replace(/([[\]\\])/g, '\\$1')}](#${headingAnchor(h, used)})`).join('\n');
+    out += '\n\n';
+  }
+  entries.forEach((e, idx) => {
+    const fence = fenceFor(e.rawContent);
+    const details = pageLines(e.page).map((l) => `- ${l}\n`).join('');
+    const heading = `## ${headings[idx]}\n\n${details ? `${details}\n` : ''}`;
+    const block = `${fence}${fenceLanguage(e)}\n${e.rawContent.replace(/\n?$/, '\n')}${fence}\n\n`;
+    if (!options.silent) {
+      log(colorize(heading, chalk.blue, options) + colorize(block, chalk.green, options));
+    }
+    out += heading + block;
+    if (options.stats && !e.isURL && typeof e.size === 'number') {
+      const sizeKB = (e.size / 1024).toFixed(2);
+      out += `[Stats] lines=${e.lineCount || '?'}, size=${sizeKB}KB, mod=${e.mtime || '?'}, tokens=${e.tokens ?? '?'}\n\n`;
+    }
+  });
+  return out;
+}
+
+/** format prose: the classic "This is my current X" wrapper around raw content */
+function formatProse(entries, options) {
   let out = '';
   for (const e of entries) {
     if (!options.silent) {
-      console.log(
+      log(
         colorize(e.prefixContent, chalk.green, options) +
         colorize(e.header, chalk.blue, options) +
         colorize(e.rawContent, chalk.green, options) +
@@ -811,7 +4286,7 @@ function formatMarkdown(entries, options) {
     out += e.finalRaw;
     if (options.stats && !e.isURL && typeof e.size === 'number') {
       const sizeKB = (e.size / 1024).toFixed(2);
-      out += `\n[Stats] lines=${e.lineCount || '?'}, size=${sizeKB}KB, mod=${e.mtime || '?'}\n`;
+      out += `\n[Stats] lines=${e.lineCount || '?'}, size=${sizeKB}KB, mod=${e.mtime || '?'}, tokens=${e.tokens ?? '?'}\n`;
     }
   }
   return out;
@@ -822,13 +4297,15 @@ function formatTxt(entries, options) {
   let out = '';
   for (const e of entries) {
     if (!options.silent) {
-      console.log(`${e.resourceName}:`);
-      console.log(e.rawContent);
+      log(`${e.resourceName}:`);
+      log(e.rawContent);
     }
-    out += `File: ${e.resourceName}\n${e.rawContent}\n`;
+    const diffNote = e.diff ? ` (diff against ${e.diff.ref})` : '';
+    const details = pageLines(e.page).map((l) => `${l}\n`).join('');
+    out += `File: ${e.resourceName}${entryNote(e)}${diffNote}\n${details}${e.rawContent}\n`;
     if (options.stats && !e.isURL && typeof e.size === 'number') {
       const sizeKB = (e.size / 1024).toFixed(2);
-      out += `[Stats] lines=${e.lineCount || '?'} size=${sizeKB}KB mod=${e.mtime || '?'}\n`;
+      out += `[Stats] lines=${e.lineCount || '?'} size=${sizeKB}KB mod=${e.mtime || '?'} tokens=${e.tokens ?? '?'}\n`;
     }
     out += '\n';
   }
@@ -836,7 +4313,7 @@ function formatTxt(entries, options) {
 }
 
 /** format json */
-function formatJson(entries) {
+function formatJson(entries, options = {}) {
   const arr = entries.map((e) => {
     const o = {
       resource: e.resourceName,
@@ -851,6 +4328,36 @@ function formatJson(entries) {
     if (e.mtime) {
       o.modifiedTime = e.mtime;
     }
+    if (options.stats && typeof e.tokens === 'number') {
+      o.tokens = e.tokens;
+    }
+    if (options.stats && e.fetchedAt) {
+      o.fetchedAt = e.fetchedAt;
+    }
+    if (e.gitStatus) {
+      o.gitStatus = e.gitStatus;
+    }
+    if (e.renamedFrom) {
+      o.renamedFrom = e.renamedFrom;
+    }
+    if (e.outline) {
+      o.outline = true;
+    }
+    if (e.lines) {
+      o.lines = e.lines;
+    }
+    if (e.symbol) {
+      o.symbol = e.symbol;
+    }
+    if (e.page) {
+      o.page = e.page;
+    }
+    if (e.chunk) {
+      o.chunk = e.chunk;
+    }
+    if (e.diff) {
+      o.diff = e.diff;
+    }
     return o;
   });
   return JSON.stringify(arr, null, 2);
@@ -860,97 +4367,330 @@ function formatJson(entries) {
 function formatHtml(entries, options) {
   let html = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>thisismy Output</title></head><body>\n';
   for (const e of entries) {
-    html += `<h2>${escapeHtml(e.resourceName)}</h2>\n<pre>\n${escapeHtml(e.rawContent)}\n</pre>\n`;
+    const diffNote = e.diff ? ` (diff against ${e.diff.ref})` : '';
+    const preClass = e.diff ? ' class="diff"' : '';
+    html += `<h2>${escapeHtml(e.resourceName + entryNote(e) + diffNote)}</h2>\n`;
+    if (e.page) {
+      html += `<p>${pageLines(e.page).map(escapeHtml).join('<br>')}</p>\n`;
+    }
+    html += `<pre${preClass}>\n${escapeHtml(e.rawContent)}\n</pre>\n`;
     if (options.stats && !e.isURL && typeof e.size === 'number') {
       const sizeKB = (e.size / 1024).toFixed(2);
-      html += `<p>[Stats] lines=${e.lineCount || '?'}, size=${sizeKB}KB, mod=${e.mtime || '?'} </p>\n`;
+      html += `<p>[Stats] lines=${e.lineCount || '?'}, size=${sizeKB}KB, mod=${e.mtime || '?'}, tokens=${e.tokens ?? '?'} </p>\n`;
+    }
+  }
+  html += '</body></html>\n';
+  return html;
+}
+
+/**
+ * format xml: <document index="N"><source>..</source><document_content>..</document_content></document>
+ * per entry inside <documents>, with the prefix in its own <prefix> section
+ */
+function formatXml(entries, options) {
+  let out = '<documents>\n';
+  if (entries[0]?.prefixContent) {
+    out += `<prefix>\n${xmlText(entries[0].prefixContent.trimEnd())}\n</prefix>\n`;
+  }
+  entries.forEach((e, idx) => {
+    if (!options.silent) {
+      log(`${e.resourceName}:`);
+      log(e.rawContent);
+    }
+    const attrs = { index: idx + 1 };
+    if (e.gitStatus) attrs.status = e.gitStatus;
+    if (e.renamedFrom) attrs.renamed_from = e.renamedFrom;
+    if (e.diff) attrs.diff_against = e.diff.ref;
+    if (e.outline) attrs.outline = 'true';
+    if (e.symbol) attrs.symbol = e.symbol;
+    if (e.lines) attrs.line_range = `${e.lines.start}-${e.lines.end}`;
+    if (e.chunk) attrs.chunk = `${e.chunk.index} of ${e.chunk.total}`;
+    if (e.page?.title) attrs.title = e.page.title;
+    if (e.page?.byline) attrs.byline = e.page.byline;
+    if (e.page?.canonicalUrl) attrs.canonical_url = e.page.canonicalUrl;
+    if (options.stats) {
+      if (typeof e.size === 'number') attrs.size = e.size;
+      if (typeof e.lineCount === 'number') attrs.lines = e.lineCount;
+      if (e.mtime) attrs.mtime = e.mtime.toISOString();
+      if (e.fetchedAt) attrs.fetched = e.fetchedAt.toISOString();
+      if (typeof e.tokens === 'number') attrs.tokens = e.tokens;
+    }
+    const attrStr = Object.entries(attrs).map(([k, v]) => ` ${k}="${xmlAttr(String(v))}"`).join('');
+    out += `<document${attrStr}>\n<source>${xmlText(e.resourceName)}</source>\n`;
+    out += `<document_content>\n${xmlText(e.rawContent.replace(/\n$/, ''))}\n</document_content>\n</document>\n`;
+  });
+  out += '</documents>\n';
+  return out;
+}
+
+/** characters XML 1.0 does not allow at all, even escaped */
+function stripXmlInvalid(str) {
+  return str.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '');
+}
+
+/** element text: as-is when safe, otherwise CDATA (split around any "]]>") */
+function xmlText(str) {
+  const clean = stripXmlInvalid(str);
+  if (!/[<&]/.test(clean)) return clean.replace(/]]>/g, ']]&gt;');
+  return `<![CDATA[${clean.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function xmlAttr(str) {
+  return stripXmlInvalid(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** short git status note for txt/html headings */
+function gitNote(e) {
+  if (e.gitStatus === 'deleted') return ' (deleted)';
+  if (e.renamedFrom) return ` (${e.gitStatus} from ${e.renamedFrom})`;
+  return '';
+}
+
+/** git status, symbol lines and outline note for txt/html headings */
+function entryNote(e) {
+  const lines = e.symbol && e.lines ? ` (${describeSlice({}, e.lines)})` : '';
+  const chunk = e.chunk ? ` (chunk ${e.chunk.index} of ${e.chunk.total})` : '';
+  return gitNote(e) + lines + (e.outline ? ' (outline)' : '') + chunk;
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// -----------------------------------------------------------------------------
+// Watch mode (--watch, --auto)
+// -----------------------------------------------------------------------------
+
+// Quiet time after the last file event before a rebuild starts
+const watchDebounceMs = 300;
+
+/**
+ * Watch the directories the patterns (or list, or git selection) can match in,
+ * and the ignore files that apply, rather than the files found at start. Every
+ * burst of events becomes one rebuild: resources are resolved again, so new
+ * files are picked up and deleted ones dropped. --auto rebuilds without asking.
+ */
+async function startWatching(options, resources) {
+  const intervalMs = options.interval * 60000;
+  // an interactive selection is fixed; everything else is resolved on each rebuild
+  const resolve = options.interactive
+    ? async () => resources.filter((r) => !isOwnOutput(r, options))
+    : () => resolveWatched(options);
+  let known = await resolve();
+  const hashes = new Map();
+  for (const r of known) {
+    hashes.set(r, hashContent(await getRawResourceContent(r, options)));
+  }
+  const touched = new Set(); // paths relative to cwd
+  const dueUrls = new Set();
+  let watchers = [];
+  let timer = null;
+  let running = null;
+  let again = false;
+
+  const onError = (err) => {
+    if (!options.silent) {
+      console.error('Watcher error:', err);
+    }
+  };
+  const openWatchers = () => {
+    const ig = createIgnoreMatcher(options);
+    watchers = [...watchTargets(options)].map(([dir, depth]) => {
+      const watcher = chokidar.watch(dir, {
+        ignoreInitial: true,
+        persistent: true,
+        depth: depth === Infinity ? undefined : depth,
+        // ignored directories are not descended into; files are sorted out when resolving
+        ignored: (p, stats) => Boolean(stats?.isDirectory()) && path.resolve(p) !== path.resolve(dir) &&
+          ig.ignores(path.relative(process.cwd(), p), true)
+      });
+      watcher.on('all', (event, p) => {
+        // writing -o must not trigger the next rebuild
+        if (isOwnOutput(p, options)) return;
+        touched.add(path.normalize(path.relative(process.cwd(), p)));
+        schedule();
+      });
+      watcher.on('error', onError);
+      return watcher;
+    });
+  };
+
+  const rebuild = async () => {
+    const paths = [...touched];
+    const urls = [...dueUrls];
+    touched.clear();
+    dueUrls.clear();
+    // rules changed: directories they pruned may be watched now, or the other way round
+    if (paths.some((p) => ignoreFileNames.includes(path.basename(p)))) {
+      await Promise.all(watchers.map((w) => w.close()));
+      openWatchers();
+    }
+
+    let next;
+    try {
+      next = await resolve();
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      return;
     }
+    const added = next.filter((r) => !hashes.has(r));
+    const removed = known.filter((r) => !next.includes(r));
+    const changed = [];
+    for (const r of next) {
+      const due = r.startsWith('http')
+        ? urls.includes(r)
+        : paths.includes(path.normalize(resourceFile(parseResourceSpec(r).path)));
+      if (!added.includes(r) && !due) continue;
+      const hash = hashContent(await getRawResourceContent(r, options));
+      if (!added.includes(r) && hash !== hashes.get(r)) changed.push(r);
+      hashes.set(r, hash);
+    }
+    removed.forEach((r) => hashes.delete(r));
+    known = next;
+    if (!changed.length && !added.length && !removed.length) return;
+
+    reportWatchChanges({ changed, added, removed }, options);
+    if (!known.length) {
+      logColored('No files/URLs left; waiting for changes.', chalk.yellow, options);
+      return;
+    }
+    if (!options.auto && !(await askForReRun(options))) return;
+    try {
+      const result = await pack({ ...options, silent: options.auto || Boolean(options.silent), resources: known });
+      if (options.auto) {
+        const targets = [options.output, options.copy && 'clipboard'].filter(Boolean);
+        const tokens = result.budget ? `, ~${result.budget.totalTokens} tokens` : '';
+        logColored(`Rebuilt ${result.resources.length} file(s)/URL(s)${tokens}${targets.length ? ` -> ${targets.join(', ')}` : ''}`, chalk.yellow, options);
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+    }
+  };
+
+  // one rebuild at a time; events during a rebuild start another one after it
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (running) {
+        again = true;
+        return;
+      }
+      running = rebuild().finally(() => {
+        running = null;
+        if (again) {
+          again = false;
+          schedule();
+        }
+      });
+    }, watchDebounceMs);
+  };
+
+  openWatchers();
+  if (known.some((r) => r.startsWith('http'))) {
+    setInterval(() => {
+      // URLs revalidate against the cache, so an unchanged page costs one 304
+      known.filter((r) => r.startsWith('http')).forEach((u) => dueUrls.add(u));
+      schedule();
+    }, intervalMs);
   }
-  html += '</body></html>\n';
-  return html;
 }
 
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
+/** the resources a rebuild packs: the patterns, list or git selection resolved again */
+async function resolveWatched(options) {
+  if (options.predefined) {
+    const list = await loadPredefinedList(options.predefined, { ...options, silent: true });
+    options.entryOptions = list.entryOptions;
+    return list.resources.filter((r) => !isOwnOutput(r, options));
+  }
+  return (await resolveResources({ ...options, silent: true })).finalResources.filter((r) => !isOwnOutput(r, options));
 }
 
-/** watchers */
-async function startWatching(options, prefixContent, resources) {
-  const intervalMs = options.interval * 60000;
-  const prevContentMap = new Map();
+/** whether a path is the -o file or one of its --split parts */
+function isOwnOutput(file, options) {
+  if (!options.output || file.startsWith('http')) return false;
+  const target = path.resolve(options.output);
+  const abs = path.resolve(parseResourceSpec(file).path);
+  if (abs === target) return true;
+  const { dir, name, ext } = path.parse(target);
+  const m = path.basename(abs).match(/^(.*)\.part\d+(\.[^.]*)?$/);
+  return path.dirname(abs) === dir && Boolean(m) && m[1] === name && (m[2] || '') === ext;
+}
 
-  for (const r of resources) {
-    const initial = await getRawResourceContent(r);
-    prevContentMap.set(r, hashContent(initial));
-    if (!r.startsWith('http')) {
-      const watcher = chokidar.watch(r, { ignoreInitial: true, persistent: true });
-      watcher.on('change', async () => {
-        await handleChange(r, prevContentMap, options, prefixContent, resources);
-      });
-      watcher.on('error', (err) => {
-        if (!options.silent) {
-          console.error('Watcher error:', err);
-        }
-      });
+/**
+ * directories to watch, each with how deep (Infinity for any depth): where the
+ * patterns can match, plus every directory from the repository root down to
+ * the current one for its ignore files
+ */
+function watchTargets(options) {
+  const targets = new Map();
+  const add = (dir, depth) => {
+    // a directory that does not exist yet is caught from its nearest parent
+    while (!fs.existsSync(dir) && path.dirname(dir) !== dir) {
+      dir = path.dirname(dir);
+      depth += 1;
     }
+    targets.set(dir, Math.max(targets.get(dir) ?? -1, depth));
+  };
+  const patterns = (options.file || []).filter((p) => !p.startsWith('http') && p !== stdinResource);
+  if (options.predefined) {
+    add(path.dirname(options.predefined), 0);
   }
-  const urlResources = resources.filter((x) => x.startsWith('http'));
-  if (urlResources.length > 0) {
-    setInterval(async () => {
-      for (const u of urlResources) {
-        await handleChange(u, prevContentMap, options, prefixContent, resources);
+  if (options.predefined || options.recursive || usesGitSelection(options)) {
+    add('.', Infinity);
+  } else {
+    for (const pattern of patterns) {
+      const spec = parseResourceSpec(pattern);
+      const inArchive = archiveMember(spec.path);
+      const parts = (inArchive ? inArchive.archive : spec.path).split('/');
+      const magicAt = parts.findIndex((part) => hasMagic(part));
+      if (magicAt < 0) {
+        add(parts.slice(0, -1).join('/') || '.', 0);
+      } else {
+        const rest = parts.slice(magicAt);
+        add(parts.slice(0, magicAt).join('/') || '.', rest.includes('**') ? Infinity : rest.length - 1);
       }
-    }, intervalMs);
+    }
+  }
+  const cwd = process.cwd();
+  const root = findRepoRoot(cwd) || cwd;
+  for (let dir = cwd; ; dir = path.dirname(dir)) {
+    add(path.relative(cwd, dir) || '.', 0);
+    if (dir === root || path.dirname(dir) === dir) break;
   }
+  return targets;
 }
 
-/** on file change re-run */
-async function handleChange(r, prevMap, options, prefixContent, allResources) {
-  const newContent = await getRawResourceContent(r);
-  const newHash = hashContent(newContent);
-  const oldHash = prevMap.get(r);
-  if (newHash !== oldHash) {
-    prevMap.set(r, newHash);
-    await askForReRun([r], options, prefixContent, allResources);
-  }
+/** one line per resource that changed, appeared or went away since the last rebuild */
+function reportWatchChanges({ changed, added, removed }, options) {
+  if (options.silent) return;
+  const counts = [
+    changed.length && `${changed.length} changed`,
+    added.length && `${added.length} added`,
+    removed.length && `${removed.length} removed`
+  ].filter(Boolean);
+  log(`\n[${new Date().toLocaleTimeString()}] ${counts.join(', ')}:`);
+  changed.forEach((r) => log(` ~ ${r}`));
+  added.forEach((r) => log(` + ${r}`));
+  removed.forEach((r) => log(` - ${r}`));
 }
 
-/** ask for re-run if changed */
-async function askForReRun(changed, options, prefixContent, allResources) {
-  if (!changed.length) return;
+/** ask before a rebuild; "x" leaves watch mode */
+async function askForReRun(options) {
   if (!options.silent) {
-    console.log('\nThese resources changed:');
-    changed.forEach((c) => console.log(c));
-    console.log('Re-run now? [y/n/x]');
+    log('Re-run now? [y/n/x]');
   }
-  const ans = await promptUser();
-  if (ans.toLowerCase() === 'y') {
-    let newOutput = await processFilesAndUrls(options, prefixContent, allResources);
-    if (options.tree) {
-      const treeResult = buildTreeOutput(allResources, options);
-      newOutput += treeResult.rawTree;
-      if (!options.silent) {
-        console.log(treeResult.coloredTree);
-      }
-    }
-    if (options.output) {
-      fs.writeFileSync(options.output, newOutput);
-      if (!options.silent) {
-        logColored(`Output written to ${options.output}`, chalk.yellow, options);
-      }
-    }
-    if (options.copy) {
-      clipboardy.writeSync(newOutput);
-      if (!options.silent) {
-        logColored('Output copied to clipboard', chalk.yellow, options);
-      }
-    }
-  } else if (ans.toLowerCase() === 'x') {
+  const ans = (await promptUser()).trim().toLowerCase();
+  if (ans === 'x') {
     process.exit(0);
   }
+  return ans === 'y';
 }
 
 function promptUser() {
@@ -967,23 +4707,45 @@ function hashContent(str) {
   return crypto.createHash('sha256').update(str || '').digest('hex');
 }
 
+// -----------------------------------------------------------------------------
+// Tree view
+// -----------------------------------------------------------------------------
+
 /** build directory tree output */
 function buildTreeOutput(filePaths, options) {
   const rawTitle = '\n--- Tree View of Processed Files ---\n';
   const coloredTitle = colorize(rawTitle, chalk.cyanBright, options);
-  const absPaths = filePaths.filter((f) => !f.startsWith('http')).map((f) => path.resolve(process.cwd(), f));
-  const treeObj = buildTree(absPaths);
+  const files = filePaths.filter((f) => !f.startsWith('http') && f !== stdinResource);
+  const absPaths = files.map((f) => path.resolve(process.cwd(), f));
+  const outlined = (f) => wantsOutline(f, optionsFor(f, options)) && outlineFamilies.includes(detectCompactFamily(f, ''));
+  const labels = new Map(files.filter(outlined).map((f) => [path.resolve(process.cwd(), f), ' (outline)']));
+  const treeObj = buildTree(absPaths, labels);
   const { rawTree, coloredTree } = getTreeStrings(treeObj, options, '');
   return {
+    plainTree: rawTree,
     rawTree: rawTitle + rawTree + '\n',
     coloredTree: coloredTitle + coloredTree + '\n'
   };
 }
 
-function buildTree(files) {
+/** the tree as it is appended to the output, framed for the output format */
+function formatTreeSection(tree, options) {
+  const fmt = (options.format || 'md').toLowerCase();
+  if (fmt === 'md') {
+    const fence = fenceFor(tree.plainTree);
+    return `## Tree of processed files\n\n${fence}text\n${tree.plainTree}${fence}\n`;
+  }
+  if (fmt === 'xml') {
+    return `<tree>\n${xmlText(tree.plainTree.replace(/\n$/, ''))}\n</tree>\n`;
+  }
+  return tree.rawTree;
+}
+
+function buildTree(files, labels = new Map()) {
   const root = {};
   for (const f of files) {
     const parts = f.split(path.sep);
+    parts[parts.length - 1] += labels.get(f) || '';
     let current = root;
     for (const p of parts) {
       if (!current[p]) current[p] = {};
@@ -1017,12 +4779,25 @@ function colorize(str, colorFunc, options) {
   return colorFunc(str);
 }
 
+// Messages go to stdout, or to stderr while --stdout carries the output; pack()
+// and main set this for the length of their run
+let messagesToStderr = false;
+
+/** print a message, with console.log's arguments, where the current run wants messages */
+function log(...args) {
+  if (messagesToStderr) {
+    console.error(...args);
+  } else {
+    console.log(...args);
+  }
+}
+
 function logColored(msg, colorFunc, options) {
   if (!options.silent) {
     if (options.noColor) {
-      console.log(msg);
+      log(msg);
     } else {
-      console.log(colorFunc(msg));
+      log(colorFunc(msg));
     }
   }
 }
@@ -1037,57 +4812,714 @@ function formatDate(d) {
   return `${dd}.${mm}.${yyyy} ${hh}:${min}:${ss}`;
 }
 
-/** fetch with fallback to puppeteer */
-async function fetchURL(url, tryJS = false) {
+// -----------------------------------------------------------------------------
+// Crawling, sitemaps and feeds
+// -----------------------------------------------------------------------------
+
+const defaultMaxPages = 50;
+
+// links with these extensions are files, not pages to crawl
+const nonPageExtensions = /\.(?:png|jpe?g|gif|svg|webp|ico|pdf|zip|gz|tgz|tar|mp3|mp4|webm|mov|woff2?|ttf|css|js|json)$/i;
+
+// URLs that may be a sitemap or feed; only these are fetched before the run to check
+const feedLikeUrl = /sitemap[^/]*$|\.(?:xml|rss|atom)$|\/(?:feed|rss|atom)\/?$/i;
+
+/** "*" wildcard match against the full URL or the URL without its scheme */
+function urlPatternMatches(pattern, url) {
+  const source = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const re = new RegExp(`^${source}$`);
+  return re.test(url) || re.test(url.replace(/^https?:\/\//, ''));
+}
+
+function wantsUrl(url, options) {
+  if (options.crawlExclude?.some((p) => urlPatternMatches(p, url))) return false;
+  return !options.crawlInclude?.length || options.crawlInclude.some((p) => urlPatternMatches(p, url));
+}
+
+/** registrable domain (example.co.uk for docs.example.co.uk); hosts psl does not know compare as-is */
+function siteOf(url) {
+  const { hostname } = new URL(url);
+  return psl.get(hostname) || hostname;
+}
+
+/** absolute, fragment-free http(s) URL, or null for mailto:, javascript: and the like */
+function normalizeLink(href, base) {
+  try {
+    const u = new URL(href, base);
+    if (!['http:', 'https:'].includes(u.protocol)) return null;
+    u.hash = '';
+    return u.href;
+  } catch {
+    return null;
+  }
+}
+
+async function fetchText(url) {
+  const resp = await fetch(url, fetchOptions);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return { body: await resp.text(), type: resp.headers.get('content-type') || '' };
+}
+
+/**
+ * Absolute page URLs listed by a sitemap (following sitemap indexes), RSS or
+ * Atom feed at `base`, or null when the body is none of those.
+ */
+async function readFeedLinks(body, base, depth = 0) {
+  if (!/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:urlset|sitemapindex|rss|feed|rdf:RDF)\b/.test(body)) return null;
+  // xmldom node lists are array-like but not iterable
+  const doc = new DOMParser({ errorHandler: {} }).parseFromString(body, 'text/xml');
+  const root = doc.documentElement;
+  const texts = (parent, tag) => Array.from(parent.getElementsByTagName(tag)).map((el) => el.textContent.trim()).filter(Boolean);
+  if (root.nodeName === 'sitemapindex') {
+    if (depth >= 3) return [];
+    const nested = await Promise.all(texts(root, 'loc').map(async (loc) => {
+      try {
+        const url = normalizeLink(loc, base);
+        return (await readFeedLinks((await fetchText(url)).body, url, depth + 1)) || [];
+      } catch {
+        return [];
+      }
+    }));
+    return nested.flat();
+  }
+  let links;
+  if (root.nodeName === 'urlset') {
+    links = texts(root, 'loc');
+  } else if (root.nodeName === 'feed') {
+    links = Array.from(root.getElementsByTagName('entry')).map((entry) => {
+      const candidates = Array.from(entry.getElementsByTagName('link'));
+      const link = candidates.find((l) => (l.getAttribute('rel') || 'alternate') === 'alternate') || candidates[0];
+      return link?.getAttribute('href');
+    });
+  } else {
+    // RSS 2.0 and RSS 1.0 (rdf:RDF) both list <item><link>
+    links = Array.from(root.getElementsByTagName('item')).map((item) => texts(item, 'link')[0]);
+  }
+  return links.map((l) => l && normalizeLink(l, base)).filter(Boolean);
+}
+
+/**
+ * GET a page for the crawl. The response is kept in options.prefetched, so
+ * fetchURLCached extracts it later in the run without downloading it again.
+ */
+async function fetchCrawledPage(url, options) {
+  const resp = await fetch(url, fetchOptions);
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  const body = await readResponseBody(resp, parseSizeLimit(options.limit).bytes);
+  options.prefetched.set(url, { resp, body });
+  return { body: body.tooLarge ? '' : body.text, type: resp.headers.get('content-type') || '' };
+}
+
+/** breadth-first crawl of same-site links up to `depth` levels from the start page */
+async function crawlSite(start, depth, options, limit) {
+  const site = siteOf(start);
+  const seen = new Set([start]);
+  const pages = [start];
+  let level = [start];
+  for (let d = 0; d < depth && level.length && pages.length < limit; d++) {
+    const linkLists = await mapWithConcurrency(level, options.concurrency ?? defaultConcurrency, async (url) => {
+      try {
+        const { body, type } = await fetchCrawledPage(url, options);
+        if (type && !/html/i.test(type)) return [];
+        const dom = new JSDOM(body, { url });
+        return [...dom.window.document.querySelectorAll('a[href]')].map((a) => normalizeLink(a.getAttribute('href'), url));
+      } catch (err) {
+        if (!options.silent) console.error(`Could not crawl ${url}: ${err.message}`);
+        return [];
+      }
+    });
+    const next = [];
+    for (const link of linkLists.flat()) {
+      if (!link || seen.has(link)) continue;
+      seen.add(link);
+      if (siteOf(link) !== site || nonPageExtensions.test(new URL(link).pathname) || !wantsUrl(link, options)) continue;
+      if (pages.length >= limit) break;
+      pages.push(link);
+      next.push(link);
+    }
+    level = next;
+  }
+  return pages;
+}
+
+/**
+ * Replace sitemap and feed URLs with the pages they list, and with --crawl add
+ * the same-site pages linked from each URL. Every page becomes its own
+ * resource; --max-pages caps what each start URL may add.
+ */
+async function expandUrlResources(resources, options) {
+  const crawlDepth = options.crawl;
+  if (crawlDepth !== undefined && (!Number.isInteger(crawlDepth) || crawlDepth < 0)) {
+    throw new Error(`--crawl needs a depth of 0 or more, got "${crawlDepth}"`);
+  }
+  if (crawlDepth && options.offline) {
+    throw new Error('--crawl needs the network and cannot be combined with --offline');
+  }
+  const limit = options.maxPages ?? defaultMaxPages;
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`--max-pages must be a positive whole number, got "${limit}"`);
+  }
+  const expanded = [];
+  for (const r of resources) {
+    if (!r.startsWith('http')) {
+      expanded.push(r);
+      continue;
+    }
+    let listed = null;
+    if (feedLikeUrl.test(new URL(r).pathname) && !options.offline) {
+      try {
+        listed = await readFeedLinks((await fetchText(r)).body, r);
+      } catch (err) {
+        if (!options.silent) console.error(`Could not read ${r}: ${err.message}`);
+      }
+    }
+    if (listed) {
+      const pages = [...new Set(listed.filter((l) => wantsUrl(l, options)))];
+      if (!options.silent) {
+        log(`Expanded ${r} into ${Math.min(pages.length, limit)} page(s)${pages.length > limit ? ` (capped by --max-pages ${limit})` : ''}`);
+      }
+      expanded.push(...pages.slice(0, limit));
+    } else if (crawlDepth) {
+      options.prefetched ??= new Map();
+      const pages = await crawlSite(r, crawlDepth, options, limit);
+      if (!options.silent) {
+        log(`Crawled ${pages.length} page(s) from ${r} (depth ${crawlDepth}${pages.length >= limit ? `, capped by --max-pages ${limit}` : ''})`);
+      }
+      expanded.push(...pages);
+    } else {
+      expanded.push(r);
+    }
+  }
+  return [...new Set(expanded)];
+}
+
+// -----------------------------------------------------------------------------
+// URL fetching and cache
+// -----------------------------------------------------------------------------
+
+/** one JSON file per URL under $XDG_CACHE_HOME/thisismy/urls (default ~/.cache) */
+function urlCacheFile(url) {
+  const cacheHome = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  const key = crypto.createHash('sha256').update(url).digest('hex');
+  return path.join(cacheHome, 'thisismy', 'urls', `${key}.json`);
+}
+
+function readUrlCache(url) {
+  try {
+    const cached = JSON.parse(fs.readFileSync(urlCacheFile(url), 'utf8'));
+    return cached.url === url ? cached : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeUrlCache(url, record) {
+  const file = urlCacheFile(url);
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // write then rename, so a concurrent run never reads half a file
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ url, ...record }), 'utf8');
+    fs.renameSync(tmp, file);
+  } catch {
+    // a cache we cannot write is just a cache miss next time
+  }
+}
+
+/**
+ * Extracted content of a URL, via the on-disk cache. A cached URL is
+ * revalidated with If-None-Match / If-Modified-Since; a 304, or a body
+ * identical to the cached one, reuses the cached extraction without parsing.
+ * `offline` never touches the network, `refresh` ignores what is cached, and
+ * bodies over `limit` are dropped. Returns { content, fetchedAt, status,
+ * contentType, page } with status fetched, not-modified, cached (offline or network
+ * failure), too-large, binary, offline-miss (not cached under `offline`) or
+ * missing (with `error` when the request failed). Failures are printed unless
+ * `silent`.
+ */
+async function fetchURLCached(url, options = {}) {
+  // each way of extracting the same URL is cached separately
+  const mode = options.rawUrl ? 'raw' : options.urlText ? 'text' : 'markdown';
+  const rendering = usesBrowser(options) ? `js=${options.waitFor || ''}` : '';
+  const key = [mode, options.selector ? `selector=${options.selector}` : '', rendering, url].filter(Boolean).join(' ');
+  const maxBytes = parseSizeLimit(options.limit).bytes;
+  const cached = options.refresh ? null : readUrlCache(key);
+  const fromCache = (status) => (maxBytes !== undefined && cached.size > maxBytes
+    ? { content: '', fetchedAt: new Date(), status: 'too-large', size: cached.size }
+    : { content: cached.content, fetchedAt: new Date(cached.fetchedAt), status, contentType: cached.contentType, page: cached.page });
+  if (options.offline) {
+    if (cached) return fromCache('cached');
+    return { content: '', fetchedAt: new Date(), status: 'offline-miss' };
+  }
+
+  const headers = { ...fetchOptions.headers };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  // a page the crawl just downloaded is used once, later checks fetch again
+  const prefetched = options.prefetched?.get(url);
+  options.prefetched?.delete(url);
+  let resp = prefetched?.resp;
+  let body = prefetched?.body;
+  try {
+    if (!prefetched) {
+      resp = await fetch(url, { ...fetchOptions, headers });
+      body = resp.status === 304 ? null : await readResponseBody(resp, maxBytes);
+    }
+  } catch (err) {
+    if (cached) {
+      if (!options.silent) console.error(`Could not reach ${url} (${err.message}), using the cached copy`);
+      return fromCache('cached');
+    }
+    if (!options.silent) console.error(`Could not fetch ${url}: ${err.message}`);
+    return { content: '', fetchedAt: new Date(), status: 'missing', error: err.message };
+  }
+  if (body?.tooLarge) {
+    return { content: '', fetchedAt: new Date(), status: 'too-large', size: body.size, atLeast: body.atLeast };
+  }
+
+  const bodyHash = body === null ? null : hashContent(body.text);
+  if (cached && (resp.status === 304 || bodyHash === cached.bodyHash)) {
+    writeUrlCache(key, { ...cached, checkedAt: new Date().toISOString() });
+    return fromCache('not-modified');
+  }
+  const contentType = resp.headers.get('content-type') || '';
+  if (binaryContentType.test(contentType)) {
+    return { content: '', fetchedAt: new Date(), status: 'binary', contentType: contentType.split(';')[0] };
+  }
+  const { content, page } = await extractResponse(body.text, contentType, url, options);
+  const now = new Date();
+  if (resp.ok) {
+    writeUrlCache(key, {
+      etag: resp.headers.get('etag') || undefined,
+      lastModified: resp.headers.get('last-modified') || undefined,
+      contentType,
+      size: body.size,
+      bodyHash,
+      fetchedAt: now.toISOString(),
+      checkedAt: now.toISOString(),
+      page,
+      content
+    });
+  }
+  return { content, fetchedAt: now, status: 'fetched', contentType, page };
+}
+
+/**
+ * Response body as text, or { tooLarge } as soon as it passes maxBytes
+ * (by Content-Length, or while streaming when the server does not say).
+ */
+async function readResponseBody(resp, maxBytes) {
+  const declared = Number(resp.headers.get('content-length'));
+  if (maxBytes !== undefined && declared > maxBytes) {
+    resp.body?.destroy?.();
+    return { tooLarge: true, size: declared };
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of resp.body) {
+    size += chunk.length;
+    if (maxBytes !== undefined && size > maxBytes) {
+      resp.body.destroy();
+      return { tooLarge: true, size, atLeast: true };
+    }
+    chunks.push(chunk);
+  }
+  const buffer = Buffer.concat(chunks);
+  const charset = (resp.headers.get('content-type') || '').match(/charset=["']?([\w-]+)/i)?.[1];
+  let text;
+  try {
+    text = charset ? new TextDecoder(charset).decode(buffer) : decodeText(buffer).text;
+  } catch {
+    text = decodeText(buffer).text;
+  }
+  return { text, size };
+}
+
+// responses that are not text at all; skipped like binary files
+const binaryContentType = /^\s*(?:(?:image|audio|video|font)\/|application\/(?:octet-stream|pdf|zip|gzip|x-tar|wasm)\b)/i;
+
+/**
+ * Turn a response into { content, page } by its Content-Type: HTML through
+ * Readability (then a headless browser) into Markdown, JSON pretty-printed,
+ * other text as sent. `rawUrl` keeps every body as sent. Without a type, the
+ * body decides. `page` holds the title, byline and canonical URL of HTML pages.
+ * `selector` keeps only the matching elements; `js` or `waitFor` render the
+ * page in the browser first.
+ */
+async function extractResponse(body, contentType, url, options = {}) {
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  if (binaryContentType.test(type)) return { content: '' };
+  const isHtml = /^(?:text\/html|application\/xhtml\+xml)$/.test(type) ||
+    (!type && /^\s*(?:<!doctype html|<html)/i.test(body));
+  const render = isHtml && usesBrowser(options);
+  if (options.rawUrl && !render) return { content: body };
+  const isJson = /[/+]json$/.test(type) || (!type && /^\s*[[{]/.test(body));
+  if (isJson) {
+    try {
+      return { content: `${JSON.stringify(JSON.parse(body), null, 2)}\n` };
+    } catch {
+      return { content: body };
+    }
+  }
+  if (!isHtml) return { content: body };
+  if (!render) {
+    const article = extractArticle(body, url, options);
+    if (article) return article;
+  }
+  const rendered = await renderWithBrowser(url, options);
+  if (rendered === null) return { content: '' };
+  if (options.rawUrl) return { content: rendered };
+  const article = extractArticle(rendered, url, options);
+  if (article) return article;
+  if (options.selector) {
+    if (!options.silent) console.error(`Selector "${options.selector}" matched nothing on ${url}`);
+    return { content: '' };
+  }
+  return { content: rendered };
+}
+
+/** --js and --wait-for need the page as the browser renders it */
+function usesBrowser(options) {
+  return Boolean(options.js || options.waitFor);
+}
+
+/** the --selector part of a page, or else its Readability article; null when neither is found */
+function extractArticle(html, url, options) {
+  return options.selector ? extractSelection(html, url, options) : parseHTMLWithReadability(html, url, options);
+}
+
+/** the elements of a page matching options.selector, as Markdown (or text); null when none match */
+function extractSelection(html, url, options) {
+  const { document } = new JSDOM(html, url ? { url } : undefined).window;
+  let matches;
+  try {
+    matches = Array.from(document.querySelectorAll(options.selector));
+  } catch {
+    throw new Error(`Invalid CSS selector "${options.selector}"`);
+  }
+  if (!matches.length) return null;
+  const content = options.urlText
+    ? `${matches.map((m) => m.textContent.trim()).join('\n\n')}\n`
+    : matches.map((m) => htmlToMarkdown(m.outerHTML, url)).join('\n');
+  return { content, page: pageMetadata(document, url) };
+}
+
+/** title, author and canonical URL from a page's <head> */
+function pageMetadata(doc, url) {
+  const page = {};
+  const title = doc.title?.trim();
+  if (title) page.title = title;
+  const author = doc.querySelector('meta[name="author"][content]')?.getAttribute('content').trim();
+  if (author) page.byline = author;
+  const canonical = doc.querySelector('link[rel~="canonical"][href]');
+  const canonicalUrl = canonical ? normalizeLink(canonical.getAttribute('href'), url || undefined) : null;
+  if (canonicalUrl) page.canonicalUrl = canonicalUrl;
+  return page;
+}
+
+/** fetch with fallback to puppeteer; failures are printed unless options.silent */
+async function fetchURL(url, tryJS = false, options = {}) {
   if (!tryJS) {
     try {
       const resp = await fetch(url, fetchOptions);
-      const html = await resp.text();
-      const parsed = parseHTMLWithReadability(html);
-      if (!parsed) {
-        return fetchURL(url, true);
-      }
-      return parsed;
+      return (await extractResponse(await resp.text(), resp.headers.get('content-type') || '', url, options)).content;
     } catch (err) {
-      console.error(err);
+      if (!options.silent) console.error(`Could not fetch ${url}: ${err.message}`);
       return '';
     }
   }
-  // fallback puppeteer
-  let browser;
+  const html = await renderWithBrowser(url, options);
+  if (html === null) return '';
+  return parseHTMLWithReadability(html, url)?.content || html;
+}
+
+/**
+ * The page's HTML after scripts ran, from the shared headless browser; null on
+ * failure. `waitFor` is a CSS selector to wait for, or a number of milliseconds.
+ */
+async function renderWithBrowser(url, options) {
+  const waitFor = options.waitFor;
+  let page;
   try {
-    browser = await puppeteer.launch();
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'networkidle2' });
-    const html = await page.content();
-    const content = parseHTMLWithReadability(html);
-    return content || html;
+    const browser = await getBrowser();
+    page = await browser.newPage();
+    await page.goto(url, { waitUntil: waitFor ? 'load' : 'networkidle2' });
+    if (/^\d+$/.test(waitFor || '')) {
+      await new Promise((resolve) => setTimeout(resolve, Number(waitFor)));
+    } else if (waitFor) {
+      await page.waitForSelector(waitFor, { timeout: browserWaitTimeout });
+    }
+    return await page.content();
   } catch (err) {
-    console.error(err);
-    return '';
+    if (!options.silent) console.error(`Could not render ${url}: ${err.message}`);
+    return null;
   } finally {
-    if (browser) {
-      await browser.close();
+    if (page) {
+      await page.close().catch(() => {});
     }
   }
 }
 
-function parseHTMLWithReadability(html) {
-  const dom = new JSDOM(html);
-  const reader = new Readability(dom.window.document);
-  const article = reader.parse();
+let sharedBrowser = null;
+
+// how long --wait-for waits for its selector
+const browserWaitTimeout = 30000;
+
+/** one headless browser for every fallback in a run, launched on first use */
+function getBrowser() {
+  if (!sharedBrowser) {
+    sharedBrowser = puppeteer.launch();
+  }
+  return sharedBrowser;
+}
+
+/** close the shared browser, if one was launched; callers of fetchURL must do this to exit */
+async function closeBrowser() {
+  const pending = sharedBrowser;
+  sharedBrowser = null;
+  if (!pending) return;
+  try {
+    await (await pending).close();
+  } catch {
+    // it never launched, or is already gone
+  }
+}
+
+/**
+ * The main article of a page as Markdown (or plain text with `urlText`), with
+ * its title, byline and canonical URL; null when Readability finds no article.
+ */
+function parseHTMLWithReadability(html, url, options = {}) {
+  const dom = new JSDOM(html, url ? { url } : undefined);
+  const doc = dom.window.document;
+  // Readability rewrites the document, so read the head first
+  const page = pageMetadata(doc, url);
+  // classes carry the language of code samples
+  const article = new Readability(doc, { keepClasses: true }).parse();
   if (!article) return null;
-  let { textContent } = article;
-  if (!textContent) textContent = article.content;
-  if (!textContent) textContent = html;
-  return textContent;
+  let content = options.urlText ? article.textContent : htmlToMarkdown(article.content || '', url);
+  if (!content?.trim()) content = article.textContent || html;
+  if (article.title) page.title = article.title.trim();
+  if (article.byline) page.byline = article.byline.trim();
+  return { content, page };
+}
+
+/** title, byline and canonical URL of a fetched page, one "Label: value" line each */
+function pageLines(page) {
+  if (!page) return [];
+  return [
+    page.title && `Title: ${page.title}`,
+    page.byline && `By: ${page.byline}`,
+    page.canonicalUrl && `Canonical URL: ${page.canonicalUrl}`
+  ].filter(Boolean);
+}
+
+// -----------------------------------------------------------------------------
+// HTML to Markdown (for extracted articles)
+// -----------------------------------------------------------------------------
+
+const markdownBlockTags = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION',
+  'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL',
+  'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+
+/** Readability's article HTML as Markdown: headings, lists, tables, links, quotes and fenced code */
+function htmlToMarkdown(html, baseUrl) {
+  const { document } = new JSDOM(`<!DOCTYPE html><body>${html}</body>`).window;
+  const md = markdownBlocks(document.body, baseUrl).join('\n\n');
+  return md ? `${md}\n` : '';
+}
+
+/** child nodes as Markdown blocks; runs of inline content become paragraphs */
+function markdownBlocks(node, baseUrl) {
+  const blocks = [];
+  let inline = '';
+  const flush = () => {
+    const text = inline.replace(/[ \t]*\n[ \t]*/g, '\n').trim();
+    if (text) blocks.push(text);
+    inline = '';
+  };
+  for (const child of node.childNodes) {
+    if (child.nodeType === 1 && markdownBlockTags.has(child.tagName)) {
+      flush();
+      const block = markdownBlock(child, baseUrl);
+      if (block) blocks.push(block);
+    } else {
+      inline += markdownInline(child, baseUrl);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function markdownBlock(el, baseUrl) {
+  const tag = el.tagName;
+  if (/^H[1-6]$/.test(tag)) {
+    // docs sites end headings with a "#" or "¶" permalink
+    const text = markdownInlineText(el, baseUrl).replace(/\s*[#¶]$/, '');
+    return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+  }
+  switch (tag) {
+    case 'PRE': {
+      const code = el.textContent.replace(/\n$/, '');
+      const fence = fenceFor(code);
+      return `${fence}${codeBlockLanguage(el)}\n${code}\n${fence}`;
+    }
+    case 'UL':
+    case 'OL':
+      return markdownList(el, baseUrl);
+    case 'TABLE':
+      return markdownTable(el, baseUrl);
+    case 'BLOCKQUOTE':
+      return markdownBlocks(el, baseUrl).join('\n\n').split('\n').map((l) => (l ? `> ${l}` : '>')).join('\n');
+    case 'HR':
+      return '---';
+    case 'DT':
+      return `**${markdownInlineText(el, baseUrl)}**`;
+    default:
+      return markdownBlocks(el, baseUrl).join('\n\n');
+  }
+}
+
+function markdownList(list, baseUrl) {
+  let n = Number(list.getAttribute('start')) || 1;
+  return Array.from(list.children).filter((c) => c.tagName === 'LI').map((li) => {
+    const marker = list.tagName === 'OL' ? `${n++}. ` : '- ';
+    const indent = ' '.repeat(marker.length);
+    const body = markdownBlocks(li, baseUrl).join('\n');
+    return marker + body.split('\n').map((l, i) => (i === 0 || !l ? l : indent + l)).join('\n');
+  }).join('\n');
+}
+
+function markdownTable(table, baseUrl) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .filter((tr) => tr.closest('table') === table)
+    .map((tr) => Array.from(tr.children)
+      .filter((cell) => cell.tagName === 'TH' || cell.tagName === 'TD')
+      .map((cell) => markdownInlineText(cell, baseUrl).replace(/\n/g, ' ').replace(/\|/g, '\\|')));
+  if (!rows.length) return '';
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (r) => `| ${[...r, ...Array(width - r.length).fill('')].join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/** the language a page marks on a code block (language-js, lang-py, highlight-source-go, data-lang) */
+function codeBlockLanguage(pre) {
+  const code = pre.querySelector('code');
+  for (const el of [code, pre, pre.parentElement].filter(Boolean)) {
+    const data = el.getAttribute('data-lang') || el.getAttribute('data-language');
+    if (data) return data.toLowerCase();
+    const m = (el.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang|highlight-source|highlight)-([\w+#-]+)/);
+    if (m) return m[1].toLowerCase();
+  }
+  return '';
+}
+
+function markdownInlineText(el, baseUrl) {
+  return Array.from(el.childNodes).map((c) => markdownInline(c, baseUrl)).join('').replace(/[ \t]+/g, ' ').trim();
+}
+
+function markdownInline(node, baseUrl) {
+  if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1) return '';
+  const inner = () => Array.from(node.childNodes).map((c) => markdownInline(c, baseUrl)).join('');
+  const wrap = (mark) => {
+    const text = inner();
+    const trimmed = text.trim();
+    if (!trimmed) return text;
+    return `${/^\s/.test(text) ? ' ' : ''}${mark}${trimmed}${mark}${/\s$/.test(text) ? ' ' : ''}`;
+  };
+  switch (node.tagName) {
+    case 'BR':
+      return '\n';
+    case 'CODE':
+    case 'KBD':
+    case 'SAMP': {
+      const text = node.textContent.replace(/\s+/g, ' ');
+      const ticks = '`'.repeat(Math.max(0, ...(text.match(/`+/g) || []).map((run) => run.length)) + 1);
+      const pad = /^`|`$/.test(text) ? ' ' : '';
+      return `${ticks}${pad}${text}${pad}${ticks}`;
+    }
+    case 'STRONG':
+    case 'B':
+      return wrap('**');
+    case 'EM':
+    case 'I':
+      return wrap('*');
+    case 'DEL':
+    case 'S':
+      return wrap('~~');
+    case 'A': {
+      const text = inner().trim();
+      const href = node.getAttribute('href');
+      const target = href && !href.startsWith('#') ? normalizeLink(href, baseUrl) : null;
+      if (!target || !text) return inner();
+      return text === target ? `<${target}>` : `[${text}](${target})`;
+    }
+    case 'IMG': {
+      const src = node.getAttribute('src');
+      const target = src ? normalizeLink(src, baseUrl) : null;
+      return target ? `![${node.getAttribute('alt') || ''}](${target})` : '';
+    }
+    case 'SCRIPT':
+    case 'STYLE':
+    case 'NOSCRIPT':
+    case 'TEMPLATE':
+      return '';
+    default:
+      return inner();
+  }
 }
 
-(async () => {
+export {
+  pack,
+  resolveResources,
+  processFilesAndUrls,
+  applySizeLimit,
+  parseSizeLimit,
+  applyBinaryFilter,
+  decodeText,
+  redactSecrets,
+  compactContent,
+  outlineContent,
+  parseResourceSpec,
+  loadPredefinedList,
+  formatPredefinedList,
+  applyTokenBudget,
+  estimateTokens,
+  buildTreeOutput,
+  formatMarkdown,
+  formatProse,
+  formatTxt,
+  formatJson,
+  formatHtml,
+  formatXml,
+  splitIntoParts,
+  fetchURL,
+  fetchURLCached,
+  htmlToMarkdown,
+  registerExtractor,
+  closeBrowser
+};
+
+// Only run the CLI when executed directly (also via the npm bin symlink), not on import
+function isCliEntry() {
+  if (!process.argv[1]) return false;
   try {
-    await main();
-  } catch (err) {
-    console.error('An error occurred:', err);
-    process.exit(1);
+    return fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
+  } catch {
+    return false;
   }
-})();
+}
+
+if (isCliEntry()) {
+  (async () => {
+    try {
+      await main();
+    } catch (err) {
+      console.error('An error occurred:', err);
+      process.exit(1);
+    }
+  })();
+}